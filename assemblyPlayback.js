@@ -0,0 +1,78 @@
+// --- Assembly Playback ---
+// Animates a freshly built structure: the bricks appear one after another in build order and drop from above
+// onto their studs. Only positions are animated, and every brick ends on a copy of the position it had when the
+// playback started, so the finished structure is exactly what the builder made. DOM-free; the viewer calls
+// update() once per frame.
+
+// Seconds between one brick starting to drop and the next, at speed 1
+const BRICK_INTERVAL = 0.25;
+// Seconds a brick takes to land, at speed 1
+const DROP_DURATION = 0.5;
+// How far above its place a brick starts, in scene units
+const DROP_HEIGHT = 12;
+
+/**
+ * Eases a drop: fast at first, slowing down to settle on the studs.
+ * @param {number} t - Progress from 0 to 1.
+ * @returns {number} Eased progress from 0 to 1.
+ */
+function easeOutCubic(t) {
+    return 1 - (1 - t) ** 3;
+}
+
+/**
+ * Starts playing the assembly of a structure. The meshes must already be in their final place; they are
+ * hidden and moved up straight away, so nothing shows the finished structure before its bricks land.
+ * @param {THREE.Object3D[]} meshes - The bricks to drop, in build order (e.g. buildStructureMeshes' brickMeshes).
+ * @param {object} [options]
+ * @param {number} [options.speed=1] - Playback speed (2 = twice as fast).
+ * @param {number} [options.dropHeight] - How far above its place each brick starts.
+ * @param {function(): void} [options.onFinish] - Called once, when the last brick lands or the playback is skipped.
+ * @returns {{update: function(number): void, setSpeed: function(number): void, pause: function(): void,
+ *   resume: function(): void, skip: function(): void, isPaused: function(): boolean,
+ *   isFinished: function(): boolean}} Handle to drive the playback: update() advances it by the given seconds
+ *   of real time, skip() puts every brick in place at once.
+ */
+export function playAssembly(meshes, options = {}) {
+    const dropHeight = options.dropHeight ?? DROP_HEIGHT;
+    const drops = meshes.map((mesh, index) => ({ mesh, target: mesh.position.clone(), start: index * BRICK_INTERVAL }));
+    const endTime = drops.length > 0 ? drops[drops.length - 1].start + DROP_DURATION : 0;
+    let speed = options.speed ?? 1;
+    let time = 0;
+    let paused = false;
+    let finished = false;
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        drops.forEach(({ mesh, target }) => {
+            mesh.position.copy(target); // The exact pose the builder set
+            mesh.visible = true;
+        });
+        options.onFinish?.();
+    };
+    const pose = () => {
+        drops.forEach(({ mesh, target, start }) => {
+            const progress = Math.min(Math.max((time - start) / DROP_DURATION, 0), 1);
+            mesh.visible = time >= start;
+            mesh.position.copy(target);
+            mesh.position.y += dropHeight * (1 - easeOutCubic(progress));
+        });
+    };
+
+    pose();
+    if (drops.length === 0) finish();
+    return {
+        update(deltaSeconds) {
+            if (paused || finished) return;
+            time += deltaSeconds * speed;
+            if (time >= endTime) finish(); else pose();
+        },
+        setSpeed(newSpeed) { speed = newSpeed; },
+        pause() { paused = true; },
+        resume() { paused = false; },
+        skip: finish,
+        isPaused: () => paused,
+        isFinished: () => finished
+    };
+}
@@ -0,0 +1,294 @@
+// --- Assembly Solver ---
+// Works out where every brick of a structure sits, from the structure data and a brick catalog alone:
+// no meshes, no scene and no DOM, so the same poses drive the viewers, the headless tools and CI checks
+// (see solveStructures.mjs). The viewers only turn the poses into meshes (structureBuilder.js).
+import * as THREE from 'three';
+import { STUD_SIZE, BRICK_DEFINITIONS, createBrickDefinitions } from './brickDefinitions.js';
+import { normaliseOrientation, connectorsMate } from './structureValidator.js';
+import { mateRotation, mateOrientation } from './brickConnectors.js';
+import { findCollisions } from './brickCollisions.js';
+
+/**
+ * Picks the brick definitions a solve uses.
+ * @param {object} options - The solver options (`brickDefinitions` or `catalog`).
+ * @returns {object} Map of brick type name to brick definition.
+ * @throws {Error} If `catalog` is given and has an invalid entry.
+ */
+function definitionsFor(options) {
+    if (options.brickDefinitions) return options.brickDefinitions;
+    if (options.catalog) return createBrickDefinitions(options.catalog);
+    return BRICK_DEFINITIONS;
+}
+
+// Space left between the structure and the tray, and between the components in it (scene units)
+const TRAY_GAP = STUD_SIZE * 2;
+
+/**
+ * Works out where every brick sits by walking the hole connections breadth-first, first from the base and
+ * then from each group of bricks the base doesn't reach.
+ *
+ * Links are followed in both directions: a top-hole link places the brick above, a bottom-hole link
+ * places the brick below (for bricks hanging under a raised brick), and side connectors (SNOT studs, pin
+ * holes) place bricks sideways, each connector meeting the other face to face (see brickConnectors.js).
+ * The orientation comes from the stud's entry (the lower brick's top hole for ordinary links), as in
+ * structures.json, and must be a quarter turn (pins turn freely): a link with any other
+ * angle is not followed (REJECTED_ORIENTATION) rather than rendering the brick between studs.
+ *
+ * The bricks fall into connected components. Component 0 is the one holding the base; every other one
+ * (bricks the hardware reports loose, a sub-assembly held in the hand) is posed relative to its first brick
+ * in the data and set down in a row in the "tray" to the +X side of the structure, so nothing the data
+ * holds goes missing. Each of those is reported as FLOATING_COMPONENT. Links that contradict the poses
+ * (see findLinkConflicts) and bricks that end up in each other's space (BRICK_OVERLAP, see brickCollisions.js)
+ * are listed in `issues` too (same shape as structureValidator issues). Problems with the data itself
+ * (unknown types, dangling links) are validateStructure's to report.
+ *
+ * The result's `error` is set (and `poses` is empty) when the structure can't be solved at all,
+ * e.g. when the base is missing; it holds a short message suitable for the info line.
+ *
+ * @param {Array} structureData - An array of brick objects representing the structure.
+ * @param {object} [options]
+ * @param {number} [options.baseY=0] - Y position of the base plate's center.
+ * @param {object} [options.brickDefinitions] - Map of brick type name to brick definition
+ *   (BRICK_DEFINITIONS by default).
+ * @param {object} [options.catalog] - A catalog in the brickCatalog.json format, used instead when no
+ *   `brickDefinitions` are given.
+ * @returns {{poses: Array<{id: string, brickData: object, brickDef: object, position: THREE.Vector3,
+ *   quaternion: THREE.Quaternion, component: number}>, components: Array<{index: number, attached: boolean,
+ *   label: string | null, brickIds: string[], bounds: THREE.Box3}>, issues: Array<object>, error: string | null}}
+ *   Poses component by component, each in BFS order, so the base comes first. `bounds` is a component's
+ *   world bounding box; `label` names the floating ones ("Loose 1", ...).
+ * @throws {Error} If `options.catalog` has an invalid entry.
+ */
+export function solveAssembly(structureData, options = {}) {
+    const baseY = options.baseY ?? 0;
+    const brickDefinitions = definitionsFor(options);
+    const definitionOf = type => Object.hasOwn(brickDefinitions, type) ? brickDefinitions[type] : undefined;
+    const result = { poses: [], components: [], issues: [], error: null };
+
+    if (!Array.isArray(structureData)) { result.error = "Invalid Data Format"; return result; }
+
+    const bricksById = {};
+    structureData.forEach(d => { if (d?.id !== undefined) bricksById[String(d.id)] = d; });
+    const posesById = {};
+    const danglingIds = new Set(); // Linked to but not in the data
+    const rejections = []; // REJECTED_ORIENTATION issues, one per link not followed
+
+    const baseData = bricksById["1"];
+    if (!baseData || baseData.type !== "base") { result.error = "Missing Base"; return result; }
+    const baseDef = definitionOf(baseData.type);
+    if (!baseDef) { result.error = "Invalid Base Type"; return result; }
+
+    /**
+     * Poses every brick a root reaches through links, breadth-first.
+     * @param {object} rootPose - The root's pose, already placed.
+     * @param {number} component - The component index to tag the poses with.
+     * @returns {Array<object>} The component's poses, root first.
+     */
+    const poseComponent = (rootPose, component) => {
+        const poses = [rootPose];
+        rootPose.component = component;
+        posesById[rootPose.id] = rootPose;
+        const queue = [rootPose.id];
+        while (queue.length > 0) {
+            const currentBrickId = queue.shift(); const currentBrickData = bricksById[currentBrickId]; const current = posesById[currentBrickId];
+            const currentBrickDef = current.brickDef;
+            if (!Array.isArray(currentBrickData.holes)) continue;
+            currentBrickData.holes.forEach(holeData => {
+                if (!holeData || holeData.brick === undefined || holeData.id === undefined) return;
+                const connectedBrickIdStr = String(holeData.brick);
+                if (connectedBrickIdStr === "-1") return;
+                if (posesById[connectedBrickIdStr] || danglingIds.has(connectedBrickIdStr)) return;
+
+                const connectedBrickData = bricksById[connectedBrickIdStr];
+                if (!connectedBrickData) { danglingIds.add(connectedBrickIdStr); return; }
+                const connectedBrickDef = definitionOf(connectedBrickData.type);
+                if (!connectedBrickDef) return;
+                if (holeData.connectedToHole === undefined) return;
+
+                const currentConnector = currentBrickDef.HoleInfo(holeData.id);
+                const connectedConnector = connectedBrickDef.HoleInfo(holeData.connectedToHole);
+                if (!currentConnector || !connectedConnector) return;
+                // Only connectors that fit can be seated (not e.g. a brick "on" a tile, which has no top holes)
+                if (!connectorsMate(currentConnector.kind, connectedConnector.kind)) return;
+
+                const currentHoleWorldPos = currentConnector.offset.clone().applyQuaternion(current.quaternion).add(current.position);
+                // The stud's entry holds the orientation (the lower brick's top hole for ordinary links); a pin link's
+                // is on both entries, so this one will do
+                const studOnConnected = connectedConnector.kind === "stud";
+                const orientationHoleData = studOnConnected
+                    ? connectedBrickData.holes?.find(hole => hole?.id === holeData.connectedToHole && String(hole.brick) === currentBrickId) ?? holeData
+                    : holeData;
+                const orientation = normaliseOrientation(orientationHoleData.orientation, currentConnector.kind === "pin-hole");
+                if (orientation === null) {
+                    // Don't pose it at an impossible angle; another link may still place it
+                    const [studBrickId, studHoleId] = studOnConnected ? [connectedBrickIdStr, holeData.connectedToHole] : [currentBrickId, holeData.id];
+                    const otherBrickId = studOnConnected ? currentBrickId : connectedBrickIdStr;
+                    rejections.push({
+                        severity: "error", code: "REJECTED_ORIENTATION", brickId: studBrickId, holeId: studHoleId,
+                        connectedBrickId: otherBrickId,
+                        message: `Brick ${connectedBrickIdStr} was not placed from brick ${currentBrickId} hole ${holeData.id}: orientation ${orientationHoleData.orientation} on brick ${studBrickId} hole ${studHoleId} can't seat it on the studs.`
+                    });
+                    return;
+                }
+                // The new brick's connector meets this one face to face, turned by the orientation
+                const worldRotation = mateRotation(current.quaternion, currentConnector, connectedConnector, orientation);
+                const centerOffset = connectedConnector.offset.clone().applyQuaternion(worldRotation);
+                const newBrickPosition = currentHoleWorldPos.clone().sub(centerOffset);
+
+                const pose = { id: connectedBrickIdStr, brickData: connectedBrickData, brickDef: connectedBrickDef, position: newBrickPosition, quaternion: worldRotation, component };
+                poses.push(pose);
+                posesById[connectedBrickIdStr] = pose; queue.push(connectedBrickIdStr);
+            });
+        }
+        return poses;
+    };
+
+    // --- Base Plate and everything on it ---
+    const basePose = { id: "1", brickData: baseData, brickDef: baseDef, position: new THREE.Vector3(0, baseY, 0), quaternion: new THREE.Quaternion() };
+    const attachedPoses = poseComponent(basePose, 0);
+    result.poses.push(...attachedPoses);
+    result.components.push({ index: 0, attached: true, label: null, brickIds: attachedPoses.map(pose => pose.id), bounds: poseBounds(attachedPoses) });
+
+    // --- Floating Components --- (posed around their first brick, then set down in the tray)
+    const floorY = baseY - baseDef.Size.y / 2;
+    let trayX = Math.ceil((result.components[0].bounds.max.x + TRAY_GAP) / STUD_SIZE) * STUD_SIZE;
+    Object.entries(bricksById).forEach(([id, brickData]) => {
+        const brickDef = definitionOf(brickData.type);
+        if (posesById[id] || !brickDef) return; // Unknown types are reported by the validator
+        const index = result.components.length;
+        const poses = poseComponent({ id, brickData, brickDef, position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }, index);
+        const ownBounds = poseBounds(poses);
+        // Move it by whole studs (keeping it in line with its own studs), standing on the floor the base stands on, centred across the tray
+        const offset = new THREE.Vector3(
+            Math.ceil((trayX - ownBounds.min.x) / STUD_SIZE) * STUD_SIZE,
+            floorY - ownBounds.min.y,
+            -Math.round((ownBounds.min.z + ownBounds.max.z) / 2 / STUD_SIZE) * STUD_SIZE
+        );
+        poses.forEach(pose => pose.position.add(offset));
+        const bounds = ownBounds.translate(offset);
+        trayX = bounds.max.x + TRAY_GAP;
+
+        const label = `Loose ${index}`;
+        const brickIds = poses.map(pose => pose.id);
+        result.poses.push(...poses);
+        result.components.push({ index, attached: false, label, brickIds, bounds });
+        result.issues.push({
+            severity: "warning", code: "FLOATING_COMPONENT", brickId: id, holeId: null, brickIds,
+            message: `Brick${brickIds.length === 1 ? "" : "s"} ${brickIds.join(', ')} ${brickIds.length === 1 ? "is" : "are"} not attached to the base; shown in the tray as '${label}'.`
+        });
+    });
+
+    result.issues.push(...rejections);
+    result.issues.push(...findLinkConflicts(result.poses, posesById, rejections));
+    result.issues.push(...findCollisions(result.poses));
+    return result;
+}
+
+/**
+ * Works out the box around a set of posed bricks.
+ * @param {Array<object>} poses - The poses (from solveAssembly).
+ * @returns {THREE.Box3} Their world bounding box.
+ */
+export function poseBounds(poses) {
+    const bounds = new THREE.Box3();
+    const corner = new THREE.Vector3();
+    poses.forEach(({ brickDef, position, quaternion }) => {
+        for (let i = 0; i < 8; i++) {
+            corner.set(i & 1 ? 0.5 : -0.5, i & 2 ? 0.5 : -0.5, i & 4 ? 0.5 : -0.5).multiply(brickDef.Size).applyQuaternion(quaternion).add(position);
+            bounds.expandByPoint(corner);
+        }
+    });
+    return bounds;
+}
+
+// Hole positions closer than this (scene units) count as seated on each other
+const LINK_TOLERANCE = 1e-3;
+
+/**
+ * Checks every link between posed bricks against the poses already computed. Each brick is posed from
+ * the first link that reaches it, so any further link must agree: the two holes must meet, and the bricks
+ * must be turned relative to each other by the orientation the link records.
+ * Links are checked once, from the stud's side (the lower brick's top hole for ordinary links; pin links
+ * from whichever brick comes first); connectors that don't fit together are left to the validator.
+ * Links between different components (one end set down in the tray) and links the BFS rejected are skipped:
+ * neither placed anything to compare with, and a rejected link is already reported as REJECTED_ORIENTATION.
+ * @param {Array<object>} poses - Poses from the BFS.
+ * @param {object} posesById - The same poses keyed by brick id.
+ * @param {Array<object>} rejections - The BFS's REJECTED_ORIENTATION issues.
+ * @returns {Array<object>} LINK_CONFLICT issues; `holePositions` holds the two holes' world positions as [x, y, z].
+ */
+function findLinkConflicts(poses, posesById, rejections) {
+    const rejectedHoles = new Set(rejections.map(issue => `${issue.brickId}:${issue.holeId}`));
+    const issues = [];
+    const checkedPinLinks = new Set();
+    const holeWorldPosition = (pose, connector) => connector.offset.clone().applyQuaternion(pose.quaternion).add(pose.position);
+
+    poses.forEach(lower => {
+        if (!Array.isArray(lower.brickData.holes)) return;
+        lower.brickData.holes.forEach(holeData => {
+            if (!holeData || holeData.id === undefined) return;
+            const upper = posesById[String(holeData.brick)];
+            if (!upper || upper === lower || upper.component !== lower.component) return;
+            const lowerConnector = lower.brickDef.HoleInfo(holeData.id);
+            const upperConnector = upper.brickDef.HoleInfo(holeData.connectedToHole);
+            if (!lowerConnector || !upperConnector || lowerConnector.kind === "socket" || !connectorsMate(lowerConnector.kind, upperConnector.kind)) return;
+            // A rejected pin link is keyed by whichever end the BFS came from
+            if (rejectedHoles.has(`${lower.id}:${holeData.id}`) || rejectedHoles.has(`${upper.id}:${holeData.connectedToHole}`)) return;
+            const isPin = lowerConnector.kind === "pin-hole";
+            if (isPin) {
+                const linkKey = [`${lower.id}:${holeData.id}`, `${upper.id}:${holeData.connectedToHole}`].sort().join('-');
+                if (checkedPinLinks.has(linkKey)) return;
+                checkedPinLinks.add(linkKey);
+            }
+
+            const lowerHolePos = holeWorldPosition(lower, lowerConnector);
+            const upperHolePos = holeWorldPosition(upper, upperConnector);
+
+            const problems = [];
+            const gap = lowerHolePos.distanceTo(upperHolePos);
+            if (gap > LINK_TOLERANCE) problems.push(`the holes are ${gap.toFixed(2)} units apart`);
+            const orientation = normaliseOrientation(holeData.orientation, isPin);
+            const otherHoleData = upper.brickData.holes?.find(hole => hole?.id === holeData.connectedToHole);
+            if (orientation === null) {
+                problems.push(`it records orientation ${holeData.orientation}, which can't seat a brick on the studs`);
+            } else if (isPin && otherHoleData && normaliseOrientation(otherHoleData.orientation, true) !== orientation) {
+                problems.push(`its two pin holes record different orientations (${holeData.orientation ?? 0} and ${otherHoleData.orientation ?? 0})`);
+            } else {
+                const expectedRotation = mateRotation(lower.quaternion, lowerConnector, upperConnector, orientation);
+                if (Math.abs(Math.abs(expectedRotation.dot(upper.quaternion)) - 1) > LINK_TOLERANCE) {
+                    const actualDegrees = mateOrientation(lower.quaternion, lowerConnector, upper.quaternion, upperConnector);
+                    problems.push(actualDegrees === null
+                        ? `the brick is tilted against the ${lowerConnector.axis} face it should sit on`
+                        : `it records orientation ${orientation} but the brick is placed at ${normaliseOrientation(actualDegrees, true)}`);
+                }
+            }
+            if (problems.length === 0) return;
+
+            issues.push({
+                severity: "error", code: "LINK_CONFLICT", brickId: lower.id, holeId: holeData.id,
+                connectedBrickId: upper.id, connectedHoleId: holeData.connectedToHole,
+                holePositions: [lowerHolePos.toArray(), upperHolePos.toArray()],
+                message: `Link from brick ${lower.id} hole ${holeData.id} to brick ${upper.id} hole ${holeData.connectedToHole} contradicts the placement: ${problems.join('; ')}.`
+            });
+        });
+    });
+    return issues;
+}
+
+/**
+ * Turns poses into plain data: brick id -> type, component, position [x, y, z] and quaternion [x, y, z, w],
+ * rounded so the output is stable enough to diff or compare in tests.
+ * @param {Array<object>} poses - Poses from solveAssembly.
+ * @param {number} [digits=4] - Decimal places to keep.
+ * @returns {object} The poses keyed by brick id, in BFS order.
+ */
+export function posesToJSON(poses, digits = 4) {
+    // Adding 0 turns -0 into 0
+    const round = values => values.map(value => Number(value.toFixed(digits)) + 0);
+    return Object.fromEntries(poses.map(({ id, brickData, component, position, quaternion }) => [id, {
+        type: brickData.type,
+        component,
+        position: round(position.toArray()),
+        quaternion: round(quaternion.toArray())
+    }]));
+}
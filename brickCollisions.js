@@ -0,0 +1,208 @@
+// --- Brick Collisions ---
+// Finds bricks that occupy the same space. Every brick is cut into voxels: each stud cell one plate high is
+// split in two along every axis, so bricks half a stud or half a plate out of line (the editors' grid is
+// offset from the structure's) are still caught. Voxels are keyed on a world-aligned lattice, which makes
+// the check exact for upright bricks and approximate for bricks turned onto their side.
+// Works on solver poses and on meshes alike, so loaded and user-placed bricks go through the same check.
+import * as THREE from 'three';
+import { STUD_SIZE, PLATE_HEIGHT, getBrickDefinition } from './brickDefinitions.js';
+import { SHAPES } from './brickGeometry.js';
+
+// Edge lengths of one voxel: half a stud across, half a plate high
+const VOXEL_SIZE = new THREE.Vector3(STUD_SIZE / 2, PLATE_HEIGHT / 2, STUD_SIZE / 2);
+const OVERLAP_COLOR = 0xff0000;
+
+/**
+ * Lists the cells a brick fills: one stud across and one plate high each.
+ * @param {object} brickDef - The brick definition (Footprint, HeightPlates and Shape; Size if those are missing).
+ * @returns {{centres: THREE.Vector3[], cellSize: THREE.Vector3}} The centres of the filled cells, relative to the
+ *   brick's centre and unrotated, and the edge lengths of a cell.
+ */
+export function brickCells(brickDef) {
+    const width = brickDef.Footprint?.width ?? Math.round(brickDef.Size.x / STUD_SIZE);
+    const length = brickDef.Footprint?.length ?? Math.round(brickDef.Size.z / STUD_SIZE);
+    const heightPlates = brickDef.HeightPlates ?? Math.round(brickDef.Size.y / PLATE_HEIGHT);
+    const plateHeight = brickDef.Size.y / heightPlates; // Follows the definition if it was sized differently
+    const occupies = SHAPES[brickDef.Shape]?.occupies ?? (() => true);
+
+    const centres = [];
+    for (let level = 0; level < heightPlates; level++) {
+        for (let row = 0; row < length; row++) {
+            for (let col = 0; col < width; col++) {
+                if (!occupies(col, row, level, width, length, heightPlates)) continue;
+                centres.push(new THREE.Vector3(
+                    (col - (width - 1) / 2) * STUD_SIZE,
+                    (level - (heightPlates - 1) / 2) * plateHeight,
+                    (row - (length - 1) / 2) * STUD_SIZE
+                ));
+            }
+        }
+    }
+    return { centres, cellSize: new THREE.Vector3(STUD_SIZE, plateHeight, STUD_SIZE) };
+}
+
+/**
+ * Lists the voxels a brick fills.
+ * @param {object} brickDef - The brick definition (as for brickCells).
+ * @param {THREE.Vector3} position - World position of the brick's centre.
+ * @param {THREE.Quaternion} quaternion - World rotation of the brick.
+ * @returns {string[]} Lattice keys ("i,j,k") of the filled voxels, without repeats.
+ */
+export function brickVoxels(brickDef, position, quaternion) {
+    const { centres, cellSize } = brickCells(brickDef);
+    const keys = new Set();
+    const point = new THREE.Vector3();
+    centres.forEach(centre => {
+        // The cell's eight half-size voxels, by their centres
+        for (let corner = 0; corner < 8; corner++) {
+            point.set(
+                centre.x + ((corner & 1) ? 0.25 : -0.25) * cellSize.x,
+                centre.y + ((corner & 2) ? 0.25 : -0.25) * cellSize.y,
+                centre.z + ((corner & 4) ? 0.25 : -0.25) * cellSize.z
+            ).applyQuaternion(quaternion).add(position);
+            keys.add(`${Math.floor(point.x / VOXEL_SIZE.x)},${Math.floor(point.y / VOXEL_SIZE.y)},${Math.floor(point.z / VOXEL_SIZE.z)}`);
+        }
+    });
+    return [...keys];
+}
+
+/**
+ * Works out the world centre of a lattice voxel.
+ * @param {string} key - The voxel's key, as returned by brickVoxels.
+ * @returns {number[]} The centre as [x, y, z].
+ */
+function voxelCentre(key) {
+    const [i, j, k] = key.split(',').map(Number);
+    return [(i + 0.5) * VOXEL_SIZE.x, (j + 0.5) * VOXEL_SIZE.y, (k + 0.5) * VOXEL_SIZE.z];
+}
+
+/**
+ * Indexes which bricks fill each voxel.
+ * @param {Array<{id: string, brickDef: object, position: THREE.Vector3, quaternion: THREE.Quaternion}>} bricks -
+ *   The bricks (solver poses, or meshes through meshToBrick).
+ * @returns {Map<string, string[]>} Voxel key -> ids of the bricks filling it.
+ */
+function indexVoxels(bricks) {
+    const index = new Map();
+    bricks.forEach(brick => {
+        brickVoxels(brick.brickDef, brick.position, brick.quaternion).forEach(key => {
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(String(brick.id));
+        });
+    });
+    return index;
+}
+
+/**
+ * Finds every pair of bricks that fill the same space.
+ * @param {Array<{id: string, brickDef: object, position: THREE.Vector3, quaternion: THREE.Quaternion}>} bricks -
+ *   The bricks to check against each other.
+ * @returns {Array<object>} BRICK_OVERLAP issues (same shape as structureValidator issues), one per pair;
+ *   `voxels` holds the centres ([x, y, z]) of the shared voxels and `voxelSize` their edge lengths.
+ */
+export function findCollisions(bricks) {
+    const pairs = new Map();
+    indexVoxels(bricks).forEach((ids, key) => {
+        for (let a = 0; a < ids.length; a++) {
+            for (let b = a + 1; b < ids.length; b++) {
+                const pairKey = `${ids[a]}|${ids[b]}`;
+                if (!pairs.has(pairKey)) pairs.set(pairKey, { brickId: ids[a], otherId: ids[b], voxels: [] });
+                pairs.get(pairKey).voxels.push(voxelCentre(key));
+            }
+        }
+    });
+    return [...pairs.values()].map(({ brickId, otherId, voxels }) => ({
+        severity: "error", code: "BRICK_OVERLAP", brickId, holeId: null, connectedBrickId: otherId,
+        voxels, voxelSize: VOXEL_SIZE.toArray(),
+        message: `Bricks ${brickId} and ${otherId} take up the same space (${voxels.length} shared voxel(s) of half a stud by half a plate).`
+    }));
+}
+
+/**
+ * Checks whether bricks can be put down without running into any that are already there.
+ * @param {Array<object>} placed - The bricks already in place (as for findCollisions).
+ * @param {Array<object>} candidates - The bricks being placed; they aren't checked against each other.
+ * @returns {{brickIds: string[], voxels: number[][]}} The ids of the placed bricks in the way and the centres
+ *   of the voxels they share with the candidates; both empty if the placement is free.
+ */
+export function findPlacementCollisions(placed, candidates) {
+    const index = indexVoxels(placed);
+    const brickIds = new Set();
+    const voxels = new Set();
+    candidates.forEach(brick => {
+        brickVoxels(brick.brickDef, brick.position, brick.quaternion).forEach(key => {
+            if (!index.has(key)) return;
+            index.get(key).forEach(id => brickIds.add(id));
+            voxels.add(key);
+        });
+    });
+    return { brickIds: [...brickIds], voxels: [...voxels].map(voxelCentre) };
+}
+
+/**
+ * Describes a brick mesh for the collision checks, from its world transform.
+ * @param {THREE.Mesh} mesh - A brick mesh tagged with `userData.type` (and `userData.id` if it has one).
+ * @returns {{id: string, brickDef: object, position: THREE.Vector3, quaternion: THREE.Quaternion} | null} Null if
+ *   the mesh's type is unknown. Meshes without an id go by their uuid.
+ */
+export function meshToBrick(mesh) {
+    const brickDef = getBrickDefinition(mesh.userData?.type);
+    if (!brickDef) return null;
+    mesh.updateWorldMatrix(true, false);
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    mesh.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+    return { id: String(mesh.userData.id ?? mesh.uuid), brickDef, position, quaternion };
+}
+
+/**
+ * Creates red see-through boxes over overlapping voxels, drawn over the bricks so they can't hide them.
+ * @param {number[][]} voxels - Voxel centres, from findCollisions or findPlacementCollisions.
+ * @returns {THREE.InstancedMesh} One box per voxel; dispose its geometry and material when replacing it.
+ */
+export function createOverlapMarkers(voxels) {
+    const geometry = new THREE.BoxGeometry(VOXEL_SIZE.x, VOXEL_SIZE.y, VOXEL_SIZE.z);
+    const material = new THREE.MeshBasicMaterial({ color: OVERLAP_COLOR, transparent: true, opacity: 0.45, depthTest: false });
+    const markers = new THREE.InstancedMesh(geometry, material, voxels.length);
+    const matrix = new THREE.Matrix4();
+    voxels.forEach((centre, index) => markers.setMatrixAt(index, matrix.makeTranslation(centre[0], centre[1], centre[2])));
+    markers.instanceMatrix.needsUpdate = true;
+    markers.computeBoundingSphere();
+    markers.renderOrder = 999; // Draw after the bricks
+    markers.name = "OverlapMarkers";
+    return markers;
+}
+
+/**
+ * Checks bricks being moved against every brick already in a scene, and marks the space they share in red.
+ * Replaces the marks of the previous check.
+ * @param {THREE.Object3D} scene - The scene (or any object) holding the placed bricks. Meshes that aren't bricks
+ *   (markers, studs, overlays) are skipped, as is everything in `moving`.
+ * @param {THREE.Object3D} moving - The brick mesh or group of bricks being placed.
+ * @param {THREE.Group} markers - The group the marks go in.
+ * @param {object} [options]
+ * @param {THREE.Object3D[]} [options.ignore=[]] - Placed bricks not to check against, e.g. the base when the
+ *   grid plane that clones sit on runs through it.
+ * @returns {string[]} Ids of the bricks in the way; empty if the bricks can be put down where they are.
+ */
+export function checkScenePlacement(scene, moving, markers, { ignore = [] } = {}) {
+    clearPlacementMarkers(markers);
+    if (!moving) return [];
+    const candidates = [];
+    moving.traverse(child => { if (child.isMesh) candidates.push(child); });
+    const skipped = new Set([...candidates, ...ignore]);
+    const placed = [];
+    scene.traverse(child => { if (child.isMesh && !skipped.has(child)) placed.push(child); });
+    const { brickIds, voxels } = findPlacementCollisions(placed.map(meshToBrick).filter(Boolean), candidates.map(meshToBrick).filter(Boolean));
+    if (voxels.length > 0) markers.add(createOverlapMarkers(voxels));
+    return brickIds;
+}
+
+/**
+ * Removes the marks left by checkScenePlacement.
+ * @param {THREE.Group} markers - The group the marks are in.
+ */
+export function clearPlacementMarkers(markers) {
+    markers.children.forEach(marker => { marker.geometry.dispose(); marker.material.dispose(); });
+    markers.clear();
+}
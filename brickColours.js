@@ -0,0 +1,179 @@
+// --- Brick Colours ---
+// The named brick palette and how a structure's `colour` field resolves to a colour and a finish.
+// A colour is a palette name ("dark-bluish-grey", "trans-red", "pearl-gold"; case, spaces and underscores
+// don't matter) or a raw value ("#rrggbb", "#rgb" or "rgb(r, g, b)"). Has no Three.js or DOM dependency,
+// so the validator and exporters can use it under Node; materials are made from FINISHES by the builder.
+
+// Surface finishes and the material settings that render them. `physical` selects MeshPhysicalMaterial
+// (for clearcoat) over MeshStandardMaterial; the rest are passed to the material as they are.
+export const FINISHES = {
+    "solid": { physical: false, params: { roughness: 0.8, metalness: 0.1 } },
+    // Transparent bricks don't write depth, so the bricks behind them still show through
+    "transparent": { physical: true, params: { roughness: 0.05, metalness: 0, transparent: true, opacity: 0.5, depthWrite: false, clearcoat: 1, clearcoatRoughness: 0.05 } },
+    "metallic": { physical: false, params: { roughness: 0.35, metalness: 0.8 } },
+    "pearl": { physical: true, params: { roughness: 0.4, metalness: 0.5, clearcoat: 0.6, clearcoatRoughness: 0.2 } },
+    "chrome": { physical: false, params: { roughness: 0.1, metalness: 0.9 } }
+};
+
+/**
+ * The named palette: canonical name -> { hex, finish }. The first seven names (and "default") keep the
+ * values the viewers have always used, so existing structures look the same.
+ */
+export const BRICK_PALETTE = {
+    // Original viewer colours
+    "white": { hex: 0xffffff, finish: "solid" },
+    "yellow": { hex: 0xffff00, finish: "solid" },
+    "blue": { hex: 0x0000ff, finish: "solid" },
+    "orange": { hex: 0xffa500, finish: "solid" },
+    "pink": { hex: 0xffc0cb, finish: "solid" },
+    "purple": { hex: 0x800080, finish: "solid" },
+    "green": { hex: 0x00ff00, finish: "solid" },
+    "default": { hex: 0x888888, finish: "solid" }, // Medium grey, also used for unknown colours
+
+    // Solid colours
+    "black": { hex: 0x1b2a34, finish: "solid" },
+    "red": { hex: 0xc91a09, finish: "solid" },
+    "dark-red": { hex: 0x720e0f, finish: "solid" },
+    "dark-blue": { hex: 0x0a3463, finish: "solid" },
+    "medium-blue": { hex: 0x5a93db, finish: "solid" },
+    "bright-light-blue": { hex: 0x9fc3e9, finish: "solid" },
+    "dark-azure": { hex: 0x078bc9, finish: "solid" },
+    "medium-azure": { hex: 0x36aebf, finish: "solid" },
+    "sand-blue": { hex: 0x6074a1, finish: "solid" },
+    "dark-turquoise": { hex: 0x008f9b, finish: "solid" },
+    "dark-green": { hex: 0x184632, finish: "solid" },
+    "bright-green": { hex: 0x4b9f4a, finish: "solid" },
+    "lime": { hex: 0xbbe90b, finish: "solid" },
+    "olive-green": { hex: 0x9b9a5a, finish: "solid" },
+    "sand-green": { hex: 0xa0bcac, finish: "solid" },
+    "tan": { hex: 0xe4cd9e, finish: "solid" },
+    "dark-tan": { hex: 0x958a73, finish: "solid" },
+    "reddish-brown": { hex: 0x582a12, finish: "solid" },
+    "dark-brown": { hex: 0x352100, finish: "solid" },
+    "light-nougat": { hex: 0xf6d7b3, finish: "solid" },
+    "nougat": { hex: 0xd09168, finish: "solid" },
+    "medium-nougat": { hex: 0xaa7d55, finish: "solid" },
+    "dark-orange": { hex: 0xa95500, finish: "solid" },
+    "bright-light-orange": { hex: 0xf8bb3d, finish: "solid" },
+    "bright-light-yellow": { hex: 0xfff03a, finish: "solid" },
+    "coral": { hex: 0xff698f, finish: "solid" },
+    "bright-pink": { hex: 0xe4adc8, finish: "solid" },
+    "dark-pink": { hex: 0xc870a0, finish: "solid" },
+    "magenta": { hex: 0x923978, finish: "solid" },
+    "lavender": { hex: 0xe1d5ed, finish: "solid" },
+    "medium-lavender": { hex: 0xac78ba, finish: "solid" },
+    "dark-purple": { hex: 0x3f3691, finish: "solid" },
+    "light-bluish-grey": { hex: 0xa0a5a9, finish: "solid" },
+    "dark-bluish-grey": { hex: 0x6c6e68, finish: "solid" },
+
+    // Transparent colours
+    "trans-clear": { hex: 0xfcfcfc, finish: "transparent" },
+    "trans-black": { hex: 0x635f52, finish: "transparent" },
+    "trans-red": { hex: 0xc91a09, finish: "transparent" },
+    "trans-orange": { hex: 0xf08f1c, finish: "transparent" },
+    "trans-yellow": { hex: 0xf5cd2f, finish: "transparent" },
+    "trans-green": { hex: 0x84b68d, finish: "transparent" },
+    "trans-bright-green": { hex: 0xd9e4a7, finish: "transparent" },
+    "trans-light-blue": { hex: 0xaee9ef, finish: "transparent" },
+    "trans-dark-blue": { hex: 0x0020a0, finish: "transparent" },
+    "trans-pink": { hex: 0xe4adc8, finish: "transparent" },
+    "trans-purple": { hex: 0xa5a5cb, finish: "transparent" },
+
+    // Metallic colours
+    "flat-silver": { hex: 0x898788, finish: "metallic" },
+    "metallic-silver": { hex: 0xa5a9b4, finish: "metallic" },
+    "metallic-gold": { hex: 0xdbac34, finish: "metallic" },
+    "pearl-gold": { hex: 0xaa7f2e, finish: "pearl" },
+    "pearl-dark-grey": { hex: 0x575857, finish: "pearl" },
+    "chrome-silver": { hex: 0xe0e0e0, finish: "chrome" },
+    "chrome-gold": { hex: 0xbba53d, finish: "chrome" }
+};
+
+// Other spellings accepted for palette names
+const COLOUR_ALIASES = {
+    "grey": "light-bluish-grey",
+    "gray": "light-bluish-grey",
+    "light-grey": "light-bluish-grey",
+    "dark-grey": "dark-bluish-grey",
+    "brown": "reddish-brown",
+    "azure": "medium-azure",
+    "silver": "flat-silver",
+    "gold": "metallic-gold",
+    "clear": "trans-clear",
+    "transparent": "trans-clear"
+};
+
+/**
+ * Normalises a palette name: lower case, with runs of spaces/underscores/hyphens as one hyphen.
+ * @param {string} name - The name as written.
+ * @returns {string} The lookup key.
+ */
+function paletteKey(name) {
+    return name.trim().toLowerCase().replace(/[\s_-]+/g, "-");
+}
+
+/**
+ * Parses a raw colour value.
+ * @param {string} value - "#rrggbb", "#rgb" or "rgb(r, g, b)" with 0-255 channels.
+ * @returns {number | null} The hex value, or null if the text isn't a raw colour.
+ */
+function parseRawColour(value) {
+    const text = value.trim().toLowerCase();
+    let match = /^#([0-9a-f]{6})$/.exec(text);
+    if (match) return parseInt(match[1], 16);
+    match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(text);
+    if (match) return parseInt(match[1] + match[1] + match[2] + match[2] + match[3] + match[3], 16);
+    match = /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/.exec(text);
+    if (match) {
+        const channels = match.slice(1).map(Number);
+        if (channels.every(channel => channel <= 255)) return (channels[0] << 16) | (channels[1] << 8) | channels[2];
+    }
+    return null;
+}
+
+/**
+ * Formats a hex value as "#rrggbb".
+ * @param {number} hex - The colour.
+ * @returns {string} The CSS-style string.
+ */
+export function hexToCss(hex) {
+    return `#${hex.toString(16).padStart(6, "0")}`;
+}
+
+/**
+ * Resolves a `colour` field to the colour and finish to draw it with.
+ * @param {string | null | undefined} colour - The field's value.
+ * @returns {{name: string, hex: number, finish: string, known: boolean}} `name` is the canonical palette name,
+ *   or "#rrggbb" for a raw value. Unknown colours resolve to the "default" grey with `known` false.
+ */
+export function resolveBrickColour(colour) {
+    if (typeof colour === "string" && colour.trim() !== "") {
+        const key = paletteKey(colour);
+        const name = COLOUR_ALIASES[key] ?? key;
+        if (BRICK_PALETTE[name]) return { name, ...BRICK_PALETTE[name], known: true };
+        const hex = parseRawColour(colour);
+        if (hex !== null) return { name: hexToCss(hex), hex, finish: "solid", known: true };
+    }
+    return { name: "default", ...BRICK_PALETTE["default"], known: false };
+}
+
+/**
+ * Lists the colours a structure uses, most used first.
+ * @param {Array} structureData - The structure's brick array (the base is skipped).
+ * @returns {Array<{colour: string, name: string, hex: number, finish: string, known: boolean, count: number,
+ *   brickIds: string[]}>} One entry per distinct resolved colour; unknown values are kept apart by their raw
+ *   `colour` text so they can be reported.
+ */
+export function summariseColours(structureData) {
+    const entries = new Map();
+    (Array.isArray(structureData) ? structureData : []).forEach(brickData => {
+        if (!brickData || brickData.type === "base") return;
+        const resolved = resolveBrickColour(brickData.colour);
+        const key = resolved.known ? resolved.name : `?${brickData.colour}`;
+        if (!entries.has(key)) entries.set(key, { colour: String(brickData.colour ?? ""), ...resolved, count: 0, brickIds: [] });
+        const entry = entries.get(key);
+        entry.count++;
+        entry.brickIds.push(String(brickData.id));
+    });
+    return [...entries.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,72 @@
+// --- Brick Connectors ---
+// The geometry of a link between two bricks. Every hole is a connector with an outward normal and a
+// tangent in its brick's frame; its frame has the tangent as X, the normal as Y and tangent × normal as Z,
+// so a top hole's frame is the brick's own. Two connectors mate face to face: their frames meet with the
+// normals opposed, turned about the normal by the link's orientation. For ordinary links this is exactly
+// "the upper brick is turned by -orientation about Y", so every link, side ones included, goes through here.
+import * as THREE from 'three';
+
+/**
+ * Normal and tangent (the direction orientation 0 lines up with) for each face a connector can be on.
+ * Top and bottom holes use +X as the tangent, side connectors +Y.
+ */
+export const CONNECTOR_AXES = {
+    "+y": { normal: [0, 1, 0], tangent: [1, 0, 0] },
+    "-y": { normal: [0, -1, 0], tangent: [1, 0, 0] },
+    "+x": { normal: [1, 0, 0], tangent: [0, 1, 0] },
+    "-x": { normal: [-1, 0, 0], tangent: [0, 1, 0] },
+    "+z": { normal: [0, 0, 1], tangent: [0, 1, 0] },
+    "-z": { normal: [0, 0, -1], tangent: [0, 1, 0] }
+};
+
+// Half a turn about the frame's tangent: turns one connector's frame to face the other
+const FACE_TO_FACE = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI);
+
+// Quaternion components closer than this to 0 count as 0 when checking for a pure turn about the normal
+const SPIN_TOLERANCE = 1e-4;
+
+/**
+ * Works out a connector's frame relative to its brick.
+ * @param {{normal: THREE.Vector3, tangent: THREE.Vector3}} connector - From brickDef.HoleInfo.
+ * @returns {THREE.Quaternion} The rotation from the brick's frame to the connector's.
+ */
+export function connectorFrame(connector) {
+    const binormal = new THREE.Vector3().crossVectors(connector.tangent, connector.normal);
+    return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(connector.tangent, connector.normal, binormal));
+}
+
+/**
+ * Works out the rotation of a brick attached to an already placed one.
+ * The same orientation gives the same link whichever of the two bricks is placed first.
+ * @param {THREE.Quaternion} placedQuaternion - World rotation of the placed brick.
+ * @param {object} placedConnector - The placed brick's connector (brickDef.HoleInfo).
+ * @param {object} attachedConnector - The attached brick's connector.
+ * @param {number} orientation - The link's orientation in degrees, as stored in structures.json.
+ * @returns {THREE.Quaternion} World rotation of the attached brick.
+ */
+export function mateRotation(placedQuaternion, placedConnector, attachedConnector, orientation) {
+    const spin = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -THREE.MathUtils.degToRad(orientation));
+    return placedQuaternion.clone()
+        .multiply(connectorFrame(placedConnector))
+        .multiply(spin)
+        .multiply(FACE_TO_FACE)
+        .multiply(connectorFrame(attachedConnector).invert());
+}
+
+/**
+ * Works out the orientation two posed bricks are linked at; the inverse of mateRotation.
+ * @param {THREE.Quaternion} quaternionA - World rotation of one brick.
+ * @param {object} connectorA - Its connector.
+ * @param {THREE.Quaternion} quaternionB - World rotation of the other brick.
+ * @param {object} connectorB - Its connector.
+ * @returns {number | null} The orientation in whole degrees (not normalised), or null if the connectors
+ *   aren't face to face (one brick is tilted relative to the other).
+ */
+export function mateOrientation(quaternionA, connectorA, quaternionB, connectorB) {
+    const spin = quaternionA.clone().multiply(connectorFrame(connectorA)).invert()
+        .multiply(quaternionB)
+        .multiply(connectorFrame(connectorB))
+        .multiply(FACE_TO_FACE.clone().invert());
+    if (Math.abs(spin.x) > SPIN_TOLERANCE || Math.abs(spin.z) > SPIN_TOLERANCE) return null;
+    return Math.round(-THREE.MathUtils.radToDeg(2 * Math.atan2(spin.y, spin.w)));
+}
@@ -0,0 +1,175 @@
+// --- Brick Definitions ---
+// Shared brick constants, definitions and colour lookup. The definitions are generated from brickCatalog.json;
+// colours come from the palette in brickColours.js.
+// Used by the viewer and by the headless (Node) tools so both build identical geometry.
+import * as THREE from 'three';
+import BRICK_CATALOG from './brickCatalog.json' with { type: 'json' };
+import { SHAPES } from './brickGeometry.js';
+import { CONNECTOR_AXES } from './brickConnectors.js';
+import { resolveBrickColour } from './brickColours.js';
+
+// --- Configuration & Constants (Mirrors Roblox-like dimensions) ---
+export const STUD_SIZE = 2;        // Base unit size for studs (doubled for visual clarity)
+export const PLATE_HEIGHT = 2.4;   // Height of a standard plate (doubled)
+export const BASE_COLOR = 0xffffff; // Default color for the base plate (white)
+
+/**
+ * The brick catalog: every brick type is described by data, and its hole layout is generated from that.
+ * Each entry in `types` has:
+ * - `footprint`: [width, length] in studs. Width runs along X, length along Z.
+ * - `family`: the part family ("plate", "brick" or "tile"), which supplies the fields below unless the
+ *   entry sets them itself. Plates are one plate tall, bricks three; tiles are smooth, with bottom holes only.
+ * - `heightPlates`: height in plates.
+ * - `isBase`: true for the base plate a structure is built on.
+ * - `shape`: the geometry provider in brickGeometry.js ("box" by default, "slope", "round", "arch").
+ *   It also decides which cells have holes: a slope has top holes only on its high column, an arch
+ *   bottom holes only under its legs.
+ * - `holes.faces`: which faces carry holes, in numbering order ("top", "bottom").
+ * - `holes.order`: how holes are numbered within a face. "row-major" counts along X first
+ *   (id = row * width + col), "column-major" along Z first (id = col * length + row).
+ * - `connectors`: extra connection points on the side faces (SNOT studs, Technic pin holes), numbered
+ *   after the hole grid in list order. Each has a `kind` ("stud", "socket" or "pin-hole"), a `face`
+ *   ("+x", "-x", "+z", "-z") and an optional `at`: [u, v] in studs from the face centre, where v runs up
+ *   and u along +Z on the x faces and along +X on the z faces.
+ * Every face gets a hole per cell (width * length for a box), numbered on from the previous face. So a 3x1
+ * has top holes 0-2 and bottom holes 3-5, left to right, a 4x4 base has top holes 0-15, row by row, and a
+ * tile-2x1 has bottom holes 0-1. Fields missing from both the entry and its family fall back to `defaults`.
+ * Top holes are studs and bottom holes sockets; a stud mates with a socket, a pin hole with a pin hole.
+ */
+export { BRICK_CATALOG };
+
+// Connector kinds a catalog entry may declare, and the faces side connectors may sit on
+const CONNECTOR_KINDS = ["stud", "socket", "pin-hole"];
+const SIDE_FACES = ["+x", "-x", "+z", "-z"];
+
+/**
+ * Turns one catalog entry into a brick definition: its Size and a generated HoleOffsets for its hole grid
+ * and side connectors. The entry's shape decides which stud cells carry holes; those that don't are skipped
+ * in the numbering. HoleInfo describes a hole as a connector (see brickConnectors.js).
+ * @param {object} entry - The catalog entry.
+ * @param {object} [catalog={}] - The rest of the catalog, for `families` and `defaults`.
+ * @returns {{Size: THREE.Vector3, HoleOffsets: function(number): (THREE.Vector3 | undefined),
+ *   HoleInfo: function(number): ({offset: THREE.Vector3, normal: THREE.Vector3, tangent: THREE.Vector3,
+ *   kind: string, axis: string} | undefined), TopHoleIds: number[], BottomHoleIds: number[], SideHoleIds: number[],
+ *   Footprint: {width: number, length: number}, HeightPlates: number, Family: string, Shape: string, IsBase: boolean}}
+ * @throws {Error} If the entry names an unknown shape, a footprint the shape can't have or an invalid connector.
+ */
+export function createBrickDefinition(entry, catalog = {}) {
+    const defaults = catalog.defaults ?? {};
+    const familyName = entry.family ?? defaults.family ?? "plate";
+    const family = catalog.families?.[familyName] ?? {};
+    const [width, length] = entry.footprint;
+    const heightPlates = entry.heightPlates ?? family.heightPlates ?? defaults.heightPlates ?? 1;
+    const faces = entry.holes?.faces ?? family.holes?.faces ?? defaults.holes?.faces ?? ["top", "bottom"];
+    const order = entry.holes?.order ?? family.holes?.order ?? defaults.holes?.order ?? "row-major";
+    const shapeName = entry.shape ?? "box";
+    const shape = SHAPES[shapeName];
+    if (!shape) throw new Error(`Unknown brick shape '${shapeName}' (known: ${Object.keys(SHAPES).join(', ')}).`);
+    const shapeError = shape.check(width, length);
+    if (shapeError) throw new Error(`Footprint ${width}x${length}: ${shapeError}.`);
+    const height = heightPlates * PLATE_HEIGHT;
+
+    // Number the holes face by face, cell by cell in the given order
+    const holes = [];
+    faces.forEach(face => {
+        const cellCount = width * length;
+        for (let i = 0; i < cellCount; i++) {
+            const col = order === "column-major" ? Math.floor(i / length) : i % width;
+            const row = order === "column-major" ? i % length : Math.floor(i / width);
+            if (!shape.hasHole(face, col, row, width, length)) continue;
+            const xOffset = (col - (width - 1) / 2) * STUD_SIZE; // Centre the grid on the brick
+            const zOffset = (row - (length - 1) / 2) * STUD_SIZE;
+            const yOffset = face === "top" ? height / 2 : -height / 2;
+            const [kind, axis] = face === "top" ? ["stud", "+y"] : ["socket", "-y"];
+            holes.push({ face, kind, axis, offset: new THREE.Vector3(xOffset, yOffset, zOffset) });
+        }
+    });
+
+    // Side connectors follow the grid
+    const size = new THREE.Vector3(width * STUD_SIZE, height, length * STUD_SIZE);
+    (entry.connectors ?? []).forEach((connector, index) => {
+        if (!CONNECTOR_KINDS.includes(connector.kind)) throw new Error(`Connector ${index} has unknown kind '${connector.kind}' (known: ${CONNECTOR_KINDS.join(', ')}).`);
+        if (!SIDE_FACES.includes(connector.face)) throw new Error(`Connector ${index} is on face '${connector.face}'; side connectors go on ${SIDE_FACES.join(', ')} (top and bottom holes come from the grid).`);
+        const [u, v] = connector.at ?? [0, 0];
+        const sign = connector.face[0] === "+" ? 1 : -1;
+        const offset = connector.face[1] === "x"
+            ? new THREE.Vector3(sign * size.x / 2, v * STUD_SIZE, u * STUD_SIZE)
+            : new THREE.Vector3(u * STUD_SIZE, v * STUD_SIZE, sign * size.z / 2);
+        holes.push({ face: "side", kind: connector.kind, axis: connector.face, offset });
+    });
+    const faceIds = face => holes.flatMap((hole, id) => hole.face === face ? [id] : []);
+
+    return {
+        Size: size,
+        HoleOffsets: function(holeId) {
+            return holes[holeId]?.offset.clone();
+        },
+        HoleInfo: function(holeId) {
+            const hole = holes[holeId];
+            if (!hole) return undefined;
+            const { normal, tangent } = CONNECTOR_AXES[hole.axis];
+            return { offset: hole.offset.clone(), normal: new THREE.Vector3(...normal), tangent: new THREE.Vector3(...tangent), kind: hole.kind, axis: hole.axis };
+        },
+        TopHoleIds: faceIds("top"),
+        BottomHoleIds: faceIds("bottom"),
+        SideHoleIds: faceIds("side"),
+        Footprint: { width, length },
+        HeightPlates: heightPlates,
+        Family: familyName,
+        Shape: shapeName,
+        IsBase: entry.isBase === true
+    };
+}
+
+/**
+ * Builds brick definitions for every type in a catalog.
+ * @param {{defaults?: object, families?: object, types: object}} catalog - A catalog in the brickCatalog.json format.
+ * @returns {object} Map of brick type name to brick definition.
+ * @throws {Error} If an entry is invalid; the message names the type.
+ */
+export function createBrickDefinitions(catalog) {
+    return Object.fromEntries(Object.entries(catalog.types).map(([type, entry]) => {
+        try {
+            return [type, createBrickDefinition(entry, catalog)];
+        } catch (error) {
+            throw new Error(`Brick catalog type '${type}': ${error.message}`);
+        }
+    }));
+}
+
+/**
+ * Brick definitions generated from brickCatalog.json: size and hole positions (studs/anti-studs)
+ * relative to the brick's center, plus the top and bottom hole ID lists.
+ */
+export const BRICK_DEFINITIONS = createBrickDefinitions(BRICK_CATALOG);
+
+/**
+ * Retrieves the definition object for a given brick type string.
+ * @param {string} brickType - The type name (e.g., "2x1").
+ * @returns {object | undefined} The brick definition object or undefined if not found.
+ */
+export function getBrickDefinition(brickType) {
+    return BRICK_DEFINITIONS[brickType];
+}
+
+/**
+ * Converts a colour field (palette name or raw "#rrggbb" value, see brickColours.js) to its hex value.
+ * @param {string | null | undefined} colorName - The colour (names are case-insensitive).
+ * @returns {number} The hex color value (defaults to grey if the colour is unknown).
+ */
+export function getBrickColorHex(colorName) {
+    return resolveBrickColour(colorName).hex;
+}
+
+/**
+ * Checks if a given hole ID corresponds to a top surface hole for a specific brick definition.
+ * @param {object} brickDef - The brick definition object.
+ * @param {number} holeId - The hole ID to check.
+ * @returns {boolean} True if it's a top hole, false otherwise.
+ */
+export function isTopHole(brickDef, holeId) {
+    if (!brickDef) return false;
+    if (brickDef.IsBase) return true; // All base plate holes are considered "top" for connection purposes
+    if (!brickDef.TopHoleIds) return false;
+    return brickDef.TopHoleIds.includes(holeId);
+}
@@ -0,0 +1,103 @@
+// --- Brick Geometry ---
+// One geometry provider per catalog shape. A provider builds the brick's mesh geometry (centred on the
+// brick, like BoxGeometry) and says which stud cells carry holes, so hole offsets always match the shape.
+// Dimensions come from the brick definition, so this module needs no scene constants.
+import * as THREE from 'three';
+
+// Curve resolution for round parts and arch openings
+const ROUND_SEGMENTS = 24;
+const ARCH_CURVE_SEGMENTS = 12;
+
+/**
+ * Extrudes a profile drawn in the XY plane through the brick's length (Z), centred on the origin.
+ * @param {THREE.Shape} profile - The side profile.
+ * @param {number} depth - Extrusion depth (the brick's Z size).
+ * @param {number} [curveSegments] - Segments per curve in the profile.
+ * @returns {THREE.BufferGeometry} The geometry.
+ */
+function extrudeProfile(profile, depth, curveSegments = 1) {
+    const geometry = new THREE.ExtrudeGeometry(profile, { depth, bevelEnabled: false, curveSegments });
+    geometry.translate(0, 0, -depth / 2);
+    return geometry;
+}
+
+/**
+ * Geometry providers keyed by the catalog's `shape` field.
+ * - `hasHole(face, col, row, width, length)`: whether a stud cell on a face carries a hole.
+ * - `createGeometry({ size, studSize, plateHeight, width, length })`: the part's geometry.
+ * - `check(width, length)`: an error message if the footprint can't have this shape, else null.
+ * - `occupies(col, row, level, width, length, heightPlates)` (optional): whether the part fills a stud cell one
+ *   plate high, for collision checks (see brickCollisions.js). Parts without it fill their whole box.
+ */
+export const SHAPES = {
+    // Plain box, holes on every cell
+    "box": {
+        hasHole: () => true,
+        createGeometry: ({ size }) => new THREE.BoxGeometry(size.x, size.y, size.z),
+        check: () => null
+    },
+
+    // 45° slope falling towards +X; only the high stud column (col 0) has top holes
+    "slope": {
+        hasHole: (face, col) => face !== "top" || col === 0,
+        createGeometry: ({ size, studSize, plateHeight }) => {
+            const [hx, hy] = [size.x / 2, size.y / 2];
+            const profile = new THREE.Shape();
+            profile.moveTo(-hx, -hy);
+            profile.lineTo(hx, -hy);
+            profile.lineTo(hx, -hy + plateHeight); // Lip at the low end
+            profile.lineTo(-hx + studSize, hy);
+            profile.lineTo(-hx, hy);
+            profile.closePath();
+            return extrudeProfile(profile, size.z);
+        },
+        check: (width) => width < 2 ? "a slope needs a footprint at least 2 studs wide" : null
+    },
+
+    // Round part (1x1 round plate or brick), holes as a box
+    "round": {
+        hasHole: () => true,
+        createGeometry: ({ size }) => new THREE.CylinderGeometry(size.x / 2, size.x / 2, size.y, ROUND_SEGMENTS),
+        check: (width, length) => width !== length ? "a round part needs a square footprint" : null
+    },
+
+    // Arch along X: one-stud legs at both ends under a one-plate top; bottom holes only under the legs
+    "arch": {
+        hasHole: (face, col, row, width) => face !== "bottom" || col === 0 || col === width - 1,
+        createGeometry: ({ size, studSize, plateHeight }) => {
+            const [hx, hy] = [size.x / 2, size.y / 2];
+            const radius = hx - studSize;
+            const springY = Math.max(-hy, hy - plateHeight - radius); // Where the curve starts above the legs
+            const profile = new THREE.Shape();
+            profile.moveTo(-hx, -hy);
+            profile.lineTo(-radius, -hy);
+            profile.lineTo(-radius, springY);
+            profile.absarc(0, springY, radius, Math.PI, 0, true);
+            profile.lineTo(radius, -hy);
+            profile.lineTo(hx, -hy);
+            profile.lineTo(hx, hy);
+            profile.lineTo(-hx, hy);
+            profile.closePath();
+            return extrudeProfile(profile, size.z, ARCH_CURVE_SEGMENTS);
+        },
+        check: (width) => width < 3 ? "an arch needs a footprint at least 3 studs wide" : null,
+        // The legs and the top plate; the opening (curve included) is left free for bricks to pass under
+        occupies: (col, row, level, width, length, heightPlates) => col === 0 || col === width - 1 || level === heightPlates - 1
+    }
+};
+
+/**
+ * Creates the geometry for a brick definition, centred on the brick like its Size box.
+ * @param {object} brickDef - The brick definition (Size, Footprint, HeightPlates, Shape).
+ * @returns {THREE.BufferGeometry} The geometry.
+ */
+export function createBrickGeometry(brickDef) {
+    const shape = SHAPES[brickDef.Shape] ?? SHAPES["box"];
+    return shape.createGeometry({
+        size: brickDef.Size,
+        studSize: brickDef.Size.x / brickDef.Footprint.width,
+        plateHeight: brickDef.Size.y / brickDef.HeightPlates,
+        width: brickDef.Footprint.width,
+        length: brickDef.Footprint.length
+    });
+}
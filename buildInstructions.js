@@ -0,0 +1,61 @@
+// --- Build Instructions ---
+// Turns a structure into numbered building steps, in the order the solver walks out from the base (each brick
+// comes after the one it sits on). Bricks that follow each other in that order, sit on the same layer and
+// don't touch each other go into one step, so a row of bricks on the base is one step rather than several.
+// DOM-free; the viewer only shows and hides meshes step by step.
+import { PLATE_HEIGHT } from './brickDefinitions.js';
+import { countParts } from './partsList.js';
+import { solveAssembly, poseBounds } from './assemblySolver.js';
+
+/**
+ * Works out which layer a brick starts on: the number of plates between the top of the base and its underside.
+ * @param {object} pose - The brick's pose.
+ * @param {number} baseTop - World height of the top of the base.
+ * @returns {number} The layer (0 = straight on the base; negative for bricks hanging below its top).
+ */
+function layerOf(pose, baseTop) {
+    return Math.round((poseBounds([pose]).min.y - baseTop) / PLATE_HEIGHT);
+}
+
+/**
+ * Creates the building steps for a structure.
+ *
+ * Only the bricks attached to the base get steps; floating components (see solveAssembly) are listed in
+ * `looseBrickIds` instead. The result's `error` is solveAssembly's, with no steps.
+ *
+ * @param {Array} structureData - An array of brick objects representing the structure.
+ * @param {object} [options] - Passed on to solveAssembly (`baseY`, `brickDefinitions`, `catalog`).
+ * @returns {{steps: Array<{number: number, layer: number, brickIds: string[], parts: Array<object>}>,
+ *   looseBrickIds: string[], error: string | null}} Steps numbered from 1, in build order; each lists the bricks
+ *   it adds and their parts (see countParts). The base is never part of a step.
+ */
+export function createBuildSteps(structureData, options = {}) {
+    const { poses, error } = solveAssembly(structureData, options);
+    const result = { steps: [], looseBrickIds: [], error };
+    if (error) return result;
+
+    const base = poses[0];
+    const baseTop = poseBounds([base]).max.y;
+    let step = null;
+    let stepPoses = [];
+    const finishStep = () => {
+        if (!step) return;
+        step.parts = countParts(stepPoses.map(pose => pose.brickData));
+        result.steps.push(step);
+    };
+    poses.slice(1).forEach(pose => {
+        if (pose.component !== base.component) { result.looseBrickIds.push(pose.id); return; }
+        const layer = layerOf(pose, baseTop);
+        // A brick linked to one placed in this step has to wait until that one is down
+        const touchesStep = step && (pose.brickData.holes ?? []).some(hole => hole && step.brickIds.includes(String(hole.brick)));
+        if (!step || step.layer !== layer || touchesStep) {
+            finishStep();
+            step = { number: result.steps.length + 1, layer, brickIds: [], parts: [] };
+            stepPoses = [];
+        }
+        step.brickIds.push(pose.id);
+        stepPoses.push(pose);
+    });
+    finishStep();
+    return result;
+}
@@ -0,0 +1,17 @@
+// --- Downloads ---
+// Offers generated files (exports, saved structures, parts lists) as browser downloads.
+
+/**
+ * Downloads data as a file in the browser.
+ * @param {string|ArrayBuffer|ArrayBufferView} contents - The file's contents.
+ * @param {string} fileName - The download's file name.
+ * @param {string} [mimeType='text/plain'] - The file's MIME type.
+ */
+export function downloadFile(contents, fileName, mimeType = 'text/plain') {
+    const blob = new Blob([contents], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
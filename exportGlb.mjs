@@ -0,0 +1,56 @@
+// --- Headless GLB Export ---
+// Batch-converts every structure in a structures.json file into GLB files, without a browser.
+// Requires the `three` package to be resolvable (e.g. `npm install three@0.160.0` next to this file).
+//
+// Usage: node exportGlb.mjs [structures.json] [outputDir]
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import * as THREE from 'three';
+import { buildStructureMeshes } from './structureBuilder.js';
+import { createExportScene, exportGlb } from './gltfExport.js';
+
+// GLTFExporter reads its output blobs back through FileReader, which Node doesn't provide
+if (typeof globalThis.FileReader === 'undefined') {
+    globalThis.FileReader = class {
+        readAsArrayBuffer(blob) {
+            blob.arrayBuffer().then(buffer => { this.result = buffer; this.onloadend?.(); });
+        }
+        readAsDataURL(blob) {
+            blob.arrayBuffer().then(buffer => {
+                this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`;
+                this.onloadend?.();
+            });
+        }
+    };
+}
+
+async function main() {
+    const inputPath = process.argv[2] || 'structures.json';
+    const outputDir = process.argv[3] || 'glb';
+
+    const structures = JSON.parse(await readFile(inputPath, 'utf8'));
+    if (!Array.isArray(structures)) throw new Error(`${inputPath} does not contain an array of structures.`);
+    await mkdir(outputDir, { recursive: true });
+
+    for (const [index, structure] of structures.entries()) {
+        const name = structure.name || `Structure ${index + 1}`;
+        const { baseMesh, brickMeshes, issues, error } = buildStructureMeshes(structure.data);
+        if (error) {
+            console.error(`Skipping '${name}': ${error}`);
+            process.exitCode = 1;
+            continue;
+        }
+        issues.forEach(issue => console.warn(`'${name}': ${issue.message}`));
+        const structureGroup = new THREE.Group();
+        brickMeshes.forEach(mesh => structureGroup.add(mesh));
+        const glb = await exportGlb(createExportScene({ name, baseMesh, groups: [structureGroup] }));
+        const outputPath = path.join(outputDir, `${name.replace(/[^\w-]+/g, '_')}.glb`);
+        await writeFile(outputPath, Buffer.from(glb));
+        console.log(`Wrote ${outputPath} (${brickMeshes.length + 1} bricks)`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
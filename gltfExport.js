@@ -0,0 +1,68 @@
+// --- glTF / GLB Export ---
+// Packs the base plate, the loaded structure and any user-placed groups into a single binary glTF.
+// Works in the browser (download) and under Node (see exportGlb.mjs for batch conversion).
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { downloadFile } from './download.js';
+
+/**
+ * Creates a standalone scene holding copies of the bricks to export.
+ * Each brick becomes a node named `Brick_<id>` whose userData (type, id, colour, macaddress)
+ * is written by the exporter as glTF `extras`.
+ * @param {object} params
+ * @param {string} params.name - Name of the root node (usually the structure name).
+ * @param {THREE.Mesh | null} params.baseMesh - The base plate mesh.
+ * @param {THREE.Object3D[]} params.groups - Groups whose mesh children are exported; the first is the loaded structure,
+ *   any others are user-placed groups and keep their own node (and transform) in the output.
+ * @param {Map<string, THREE.Material>} [params.materialOverrides] - Materials to use instead of a mesh's current one,
+ *   keyed by mesh uuid (e.g. the originals of highlighted bricks).
+ * @returns {THREE.Scene} The scene to hand to the exporter.
+ */
+export function createExportScene({ name, baseMesh, groups, materialOverrides = new Map() }) {
+    const exportScene = new THREE.Scene();
+    const root = new THREE.Group();
+    root.name = name;
+    exportScene.add(root);
+
+    const copyMesh = (mesh) => {
+        const copy = mesh.clone(false);
+        copy.material = materialOverrides.get(mesh.uuid) ?? mesh.material;
+        copy.userData = { ...mesh.userData };
+        return copy;
+    };
+
+    if (baseMesh) root.add(copyMesh(baseMesh));
+    groups.forEach((group, index) => {
+        // The first group (the loaded structure) sits at the origin, so its bricks go straight under the root
+        const parent = index === 0 ? root : new THREE.Group();
+        if (parent !== root) {
+            parent.name = group.name || `UserPlaced_${index}`;
+            parent.position.copy(group.position);
+            parent.quaternion.copy(group.quaternion);
+            root.add(parent);
+        }
+        group.children.forEach(child => { if (child.isMesh) parent.add(copyMesh(child)); });
+    });
+    return exportScene;
+}
+
+/**
+ * Exports a scene as a binary glTF (GLB).
+ * @param {THREE.Object3D} exportScene - The scene from `createExportScene`.
+ * @returns {Promise<ArrayBuffer>} The GLB file contents.
+ */
+export function exportGlb(exportScene) {
+    const exporter = new GLTFExporter();
+    return exporter.parseAsync(exportScene, { binary: true });
+}
+
+/**
+ * Exports a scene as GLB and downloads it in the browser.
+ * @param {THREE.Object3D} exportScene - The scene from `createExportScene`.
+ * @param {string} fileName - Name of the downloaded file (without extension).
+ * @returns {Promise<void>}
+ */
+export async function downloadGlb(exportScene, fileName) {
+    const glb = await exportGlb(exportScene);
+    downloadFile(glb, `${fileName.replace(/[^\w-]+/g, '_')}.glb`, 'model/gltf-binary');
+}
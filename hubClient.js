@@ -0,0 +1,71 @@
+// --- Brick Hub Client ---
+// Keeps a live structure in sync with a brick hub over WebSocket. The hub sends full snapshots or
+// connect/disconnect events (see liveStructure.js); every change is handed to the viewer as a whole structure.
+import { applyHubEvent } from './liveStructure.js';
+
+// Reconnect delays grow from the first to the last value, then stay there
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000];
+
+/**
+ * Connects to a brick hub and reconnects automatically until closed.
+ * @param {string} url - The hub's WebSocket URL (e.g. "ws://localhost:8765").
+ * @param {object} handlers
+ * @param {object} handlers.brickDefinitions - Map of brick type name to brick definition.
+ * @param {number} handlers.studSize - Scene units per stud.
+ * @param {function({name: string, data: Array}): void} handlers.onStructure - Called with the structure after every change.
+ * @param {function(string, string): void} handlers.onStatus - Called with a state ("connecting", "open", "closed",
+ *   "error") and a human-readable message.
+ * @returns {{close: function(): void}} Handle to stop the connection.
+ */
+export function connectToHub(url, { brickDefinitions, studSize, onStructure, onStatus }) {
+    let socket = null;
+    let closedByUser = false;
+    let attempt = 0;
+    let reconnectTimer = null;
+    let structure = { name: `Live: ${url}`, data: [] };
+
+    const handleMessage = (message) => {
+        let event;
+        try {
+            event = JSON.parse(message.data);
+        } catch (error) {
+            onStatus('error', `Ignored malformed hub message (${error.message})`);
+            return;
+        }
+        const { data, name, error } = applyHubEvent(structure.data, event, brickDefinitions, studSize);
+        if (error) {
+            onStatus('error', `Ignored hub ${typeof event?.type === 'string' ? `'${event.type}' ` : ''}message: ${error}`);
+            return;
+        }
+        structure = { name: name ? `Live: ${name}` : structure.name, data };
+        onStructure(structure);
+    };
+
+    const open = () => {
+        onStatus('connecting', `Connecting to ${url}...`);
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            onStatus('error', `Cannot connect to ${url} (${error.message})`);
+            return;
+        }
+        socket.addEventListener('open', () => { attempt = 0; onStatus('open', `Connected to ${url}`); });
+        socket.addEventListener('message', handleMessage);
+        socket.addEventListener('close', () => {
+            socket = null;
+            if (closedByUser) { onStatus('closed', `Disconnected from ${url}`); return; }
+            const delay = RECONNECT_DELAYS_MS[Math.min(attempt++, RECONNECT_DELAYS_MS.length - 1)];
+            onStatus('connecting', `Connection to ${url} lost; retrying in ${delay / 1000}s`);
+            reconnectTimer = setTimeout(open, delay);
+        });
+    };
+
+    open();
+    return {
+        close() {
+            closedByUser = true;
+            clearTimeout(reconnectTimer);
+            if (socket) socket.close(); else onStatus('closed', `Disconnected from ${url}`);
+        }
+    };
+}
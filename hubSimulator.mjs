@@ -0,0 +1,193 @@
+// --- Brick Hub Stand-in ---
+// A local stand-in for the smart brick hub: replays a recorded event file to every viewer that connects,
+// so live streaming can be developed and tested without hardware. Uses only Node built-ins.
+//
+// Usage: node hubSimulator.mjs <recording.jsonl> [--port 8765] [--speed 1] [--loop]
+//
+// A recording has one hub message per line (see liveStructure.js for the message types). An optional
+// "delay" field gives the milliseconds to wait before sending that message (default 1000); it is not sent.
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_DELAY_MS = 1000;
+
+// WebSocket opcodes handled here
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+/**
+ * Parses command-line arguments.
+ * @param {string[]} args - process.argv without the node binary and script.
+ * @returns {{recording: string, port: number, speed: number, loop: boolean}} The options.
+ */
+function parseArgs(args) {
+    const options = { recording: null, port: 8765, speed: 1, loop: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = Number(args[++i]);
+        else if (args[i] === '--speed') options.speed = Number(args[++i]);
+        else if (args[i] === '--loop') options.loop = true;
+        else options.recording = args[i];
+    }
+    if (!options.recording || !(options.port > 0) || !(options.speed > 0)) {
+        throw new Error('Usage: node hubSimulator.mjs <recording.jsonl> [--port 8765] [--speed 1] [--loop]');
+    }
+    return options;
+}
+
+/**
+ * Reads a recording file into a list of { delay, message } steps.
+ * @param {string} path - Path to the .jsonl file.
+ * @returns {Promise<Array<{delay: number, message: string}>>} The steps in order.
+ */
+async function loadRecording(path) {
+    const lines = (await readFile(path, 'utf8')).split(/\r?\n/);
+    const steps = [];
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${path}:${index + 1}: not valid JSON (${error.message})`);
+        }
+        const { delay = DEFAULT_DELAY_MS, ...message } = event;
+        steps.push({ delay, message: JSON.stringify(message) });
+    });
+    if (steps.length === 0) throw new Error(`${path}: recording is empty`);
+    return steps;
+}
+
+/**
+ * Encodes a server-to-client WebSocket frame (servers never mask).
+ * @param {number} opcode - The frame opcode.
+ * @param {Buffer} payload - The frame payload.
+ * @returns {Buffer} The encoded frame.
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(127, 1);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Splits complete client frames off the front of a buffer.
+ * @param {Buffer} buffer - Received bytes.
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}} Parsed frames and leftover bytes.
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+        const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Replays the recording to one connected viewer until it disconnects (or the recording ends without --loop).
+ * @param {import('node:net').Socket} socket - The upgraded connection.
+ * @param {Array<{delay: number, message: string}>} steps - The recording.
+ * @param {{speed: number, loop: boolean}} options - Playback options.
+ * @param {string} clientName - Used in log lines.
+ */
+function replayTo(socket, steps, options, clientName) {
+    let stepIndex = 0;
+    let timer = null;
+    let pending = Buffer.alloc(0);
+
+    const stop = () => { clearTimeout(timer); timer = null; };
+    const scheduleNext = () => {
+        if (stepIndex >= steps.length) {
+            if (!options.loop) { console.log(`${clientName}: recording finished`); return; }
+            stepIndex = 0;
+        }
+        const step = steps[stepIndex];
+        timer = setTimeout(() => {
+            socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(step.message)));
+            console.log(`${clientName}: sent step ${stepIndex + 1}/${steps.length}`);
+            stepIndex++;
+            scheduleNext();
+        }, step.delay / options.speed);
+    };
+
+    socket.on('data', chunk => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === OPCODE_PING) socket.write(encodeFrame(OPCODE_PONG, payload));
+            if (opcode === OPCODE_CLOSE) { stop(); socket.end(encodeFrame(OPCODE_CLOSE, payload)); }
+        });
+    });
+    socket.on('close', () => { stop(); console.log(`${clientName}: disconnected`); });
+    socket.on('error', () => stop());
+    scheduleNext();
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const steps = await loadRecording(options.recording);
+    let clientCount = 0;
+
+    const server = createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('This is a WebSocket brick hub stand-in.\n');
+    });
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key) { socket.end('HTTP/1.1 400 Bad Request\r\n\r\n'); return; }
+        const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        const clientName = `client ${++clientCount}`;
+        console.log(`${clientName}: connected from ${socket.remoteAddress}`);
+        replayTo(socket, steps, options, clientName);
+    });
+    server.listen(options.port, () => {
+        console.log(`Replaying ${options.recording} (${steps.length} steps) on ws://localhost:${options.port}`);
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
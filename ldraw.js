@@ -0,0 +1,383 @@
+// --- LDraw Import / Export ---
+// Converts structures to LDraw models (.ldr, or .mpd for several at once) that LDView and LeoCAD can open,
+// and reads simple LDraw models back into the structures.json hole-connection format.
+//
+// LDraw units (LDU): one stud is 20 LDU and one plate is 8 LDU tall. LDraw is right-handed with -Y up,
+// so a scene point (x, y, z) maps to (x, -y, -z) before scaling. A part's origin is the centre of its top face.
+import * as THREE from 'three';
+import { STUD_SIZE, PLATE_HEIGHT, BRICK_DEFINITIONS } from './brickDefinitions.js';
+import { buildStructureMeshes } from './structureBuilder.js';
+import { serializeScene } from './structureSerializer.js';
+import { resolveBrickColour } from './brickColours.js';
+
+const LDU_PER_STUD = 20;
+const LDU_PER_PLATE = 8;
+
+// Entries closer than this to 0 or ±1 are treated as exact when checking rotation matrices
+const MATRIX_TOLERANCE = 1e-3;
+
+/** Maps BRICK_DEFINITIONS keys to LDraw part files. */
+export const LDRAW_PARTS = {
+    "base": "3031.dat",       // Plate 4 x 4
+    "3x1": "3623.dat",        // Plate 1 x 3
+    "2x1": "3023.dat",        // Plate 1 x 2
+    "1x1": "3024.dat",        // Plate 1 x 1
+    "2x2": "3022.dat",        // Plate 2 x 2
+    "4x2": "3020.dat",        // Plate 2 x 4
+    "brick-1x1": "3005.dat",  // Brick 1 x 1
+    "brick-2x1": "3004.dat",  // Brick 1 x 2
+    "brick-3x1": "3622.dat",  // Brick 1 x 3
+    "brick-2x2": "3003.dat",  // Brick 2 x 2
+    "brick-4x2": "3001.dat",  // Brick 2 x 4
+    "tile-1x1": "3070b.dat",  // Tile 1 x 1 with Groove
+    "tile-2x1": "3069b.dat",  // Tile 1 x 2 with Groove
+    "tile-3x1": "63864.dat",  // Tile 1 x 3
+    "tile-2x2": "3068b.dat",  // Tile 2 x 2 with Groove
+    "round-1x1": "4073.dat",  // Plate 1 x 1 Round
+    "round-brick-1x1": "3062b.dat", // Brick 1 x 1 Round with Hollow Stud
+    "arch-4x1": "3659.dat",   // Arch 1 x 4
+    "slope-2x1": "3040b.dat", // Slope Brick 45 2 x 1
+    "slope-2x2": "3039.dat",  // Slope Brick 45 2 x 2
+    "brick-1x1-side-stud": "87087.dat",   // Brick 1 x 1 with Stud on 1 Side
+    "brick-2x1-side-studs": "11211.dat",  // Brick 1 x 2 with Studs on 1 Side
+    "technic-brick-2x1": "3700.dat",      // Technic Brick 1 x 2 with Hole
+    "technic-brick-4x1": "3701.dat"       // Technic Brick 1 x 4 with Holes
+};
+
+/**
+ * Quarter turns about the vertical axis (right-handed about scene +Y) that take a part as LDraw draws it to
+ * ours, for the parts that don't face the same way. LDraw slopes fall towards -Z (the front, scene +Z) and
+ * its side studs point that way too; ours fall towards +X, and the 1 x 1's side stud points to +X. The 1 x 2's
+ * side studs (+Z) and the Technic holes (through Z, along the length) already match.
+ */
+export const LDRAW_PART_TURNS = {
+    "slope-2x1": 1,
+    "slope-2x2": 1,
+    "brick-1x1-side-stud": 1
+};
+
+/**
+ * Maps palette names (see brickColours.js) to LDraw colour codes. Raw "#rrggbb" colours are written as LDraw
+ * direct colours (0x2RRGGBB) instead.
+ */
+export const LDRAW_COLOURS = {
+    "white": 15,
+    "yellow": 14,
+    "blue": 1,
+    "orange": 25,
+    "pink": 13,
+    "purple": 22,
+    "green": 2,
+    "black": 0,
+    "red": 4,
+    "dark-red": 320,
+    "dark-blue": 272,
+    "medium-blue": 73,
+    "bright-light-blue": 212,
+    "dark-azure": 321,
+    "medium-azure": 322,
+    "sand-blue": 379,
+    "dark-turquoise": 3,
+    "dark-green": 288,
+    "bright-green": 10,
+    "lime": 27,
+    "olive-green": 330,
+    "sand-green": 378,
+    "tan": 19,
+    "dark-tan": 28,
+    "reddish-brown": 70,
+    "dark-brown": 308,
+    "light-nougat": 78,
+    "nougat": 92,
+    "medium-nougat": 84,
+    "dark-orange": 484,
+    "bright-light-orange": 191,
+    "bright-light-yellow": 226,
+    "coral": 353,
+    "bright-pink": 29,
+    "dark-pink": 5,
+    "magenta": 26,
+    "lavender": 31,
+    "medium-lavender": 30,
+    "dark-purple": 85,
+    "light-bluish-grey": 71,
+    "dark-bluish-grey": 72,
+    "trans-clear": 47,
+    "trans-black": 40,
+    "trans-red": 36,
+    "trans-orange": 57,
+    "trans-yellow": 46,
+    "trans-green": 34,
+    "trans-bright-green": 35,
+    "trans-light-blue": 43,
+    "trans-dark-blue": 33,
+    "trans-pink": 45,
+    "trans-purple": 52,
+    "flat-silver": 179,
+    "metallic-silver": 80,
+    "metallic-gold": 82,
+    "pearl-gold": 297,
+    "pearl-dark-grey": 148,
+    "chrome-silver": 383,
+    "chrome-gold": 334,
+    "default": 71 // Light Bluish Grey; imported back as "light-bluish-grey"
+};
+
+// LDraw direct colours: 0x2 followed by RRGGBB
+const DIRECT_COLOUR_PATTERN = /^0x2([0-9a-f]{6})$/i;
+
+// Reverse lookups for import (the first name listed for a code wins)
+const TYPES_BY_PART = Object.fromEntries(Object.entries(LDRAW_PARTS).map(([type, part]) => [part, type]));
+const COLOURS_BY_CODE = Object.fromEntries(Object.entries(LDRAW_COLOURS).reverse().map(([name, code]) => [code, name]));
+
+/**
+ * Works out the LDraw colour token for a brick colour.
+ * @param {string} colour - The brick's colour field.
+ * @returns {string} A colour code, or a direct colour for raw "#rrggbb" values.
+ */
+function colourToken(colour) {
+    const { name, hex, known } = resolveBrickColour(colour);
+    if (known && name.startsWith('#')) return `0x2${hex.toString(16).padStart(6, '0').toUpperCase()}`;
+    return String(LDRAW_COLOURS[name] ?? LDRAW_COLOURS["default"]);
+}
+
+// Flips between scene (Y-up) and LDraw (-Y up) axes; a 180° turn about X, so it is its own inverse
+const AXIS_FLIP = new THREE.Matrix4().makeScale(1, -1, -1);
+
+/**
+ * Formats a number for an LDraw line: up to four decimals, no trailing zeros, no negative zero.
+ * @param {number} value - The number.
+ * @returns {string} The formatted number.
+ */
+function formatNumber(value) {
+    const rounded = Number(value.toFixed(4));
+    return String(rounded === 0 ? 0 : rounded);
+}
+
+/**
+ * Works out the turn that takes a part as LDraw draws it to ours (see LDRAW_PART_TURNS).
+ * @param {string} type - The brick type.
+ * @returns {THREE.Matrix4} The rotation, in scene axes (the identity for most parts).
+ */
+function partTurn(type) {
+    return new THREE.Matrix4().makeRotationY((LDRAW_PART_TURNS[type] ?? 0) * Math.PI / 2);
+}
+
+/**
+ * Writes one type-1 (part reference) line for a brick mesh.
+ * @param {THREE.Mesh} mesh - A positioned brick mesh with userData.type and userData.colour.
+ * @returns {string} The LDraw line.
+ */
+function partLine(mesh) {
+    const brickDef = BRICK_DEFINITIONS[mesh.userData.type];
+    const colour = colourToken(mesh.userData.colour);
+
+    // Part origin is the centre of the top face
+    const top = mesh.localToWorld(new THREE.Vector3(0, brickDef.Size.y / 2, 0));
+    const x = top.x / STUD_SIZE * LDU_PER_STUD;
+    const y = -top.y / PLATE_HEIGHT * LDU_PER_PLATE;
+    const z = -top.z / STUD_SIZE * LDU_PER_STUD;
+
+    const rotation = new THREE.Matrix4().makeRotationFromQuaternion(mesh.getWorldQuaternion(new THREE.Quaternion()))
+        .multiply(partTurn(mesh.userData.type));
+    const m = AXIS_FLIP.clone().multiply(rotation).multiply(AXIS_FLIP).elements; // Column-major
+    const matrix = [m[0], m[4], m[8], m[1], m[5], m[9], m[2], m[6], m[10]];
+
+    return ['1', colour, ...[x, y, z, ...matrix].map(formatNumber), LDRAW_PARTS[mesh.userData.type]].join(' ');
+}
+
+/**
+ * Converts a structure into the lines of an LDraw model.
+ * @param {{name: string, data: Array}} structure - A structure from structures.json.
+ * @param {string} fileName - The model's file name (used in the header).
+ * @returns {{lines: string[], error: string | null}} The model lines, or an error if the structure can't be built.
+ */
+function structureToLines(structure, fileName) {
+    const { baseMesh, brickMeshes, error } = buildStructureMeshes(structure.data);
+    if (error) return { lines: [], error };
+    const unmapped = [...new Set(brickMeshes.map(mesh => mesh.userData.type).filter(type => !LDRAW_PARTS[type]))];
+    if (unmapped.length > 0) return { lines: [], error: `No LDraw part for brick type(s) ${unmapped.join(', ')}` };
+    const lines = [
+        `0 ${structure.name}`,
+        `0 Name: ${fileName}`,
+        '0 Author: Animo viewer',
+        ...[baseMesh, ...brickMeshes].map(partLine)
+    ];
+    return { lines, error: null };
+}
+
+/**
+ * Makes a file-name-safe version of a structure name.
+ * @param {string} name - The structure name.
+ * @returns {string} The file name, with the .ldr extension.
+ */
+export function ldrawFileName(name) {
+    return `${name.replace(/[^\w-]+/g, '_')}.ldr`;
+}
+
+/**
+ * Exports a single structure as an .ldr file.
+ * @param {{name: string, data: Array}} structure - A structure from structures.json.
+ * @returns {{text: string, error: string | null}} The file contents, or an error.
+ */
+export function exportLdr(structure) {
+    const { lines, error } = structureToLines(structure, ldrawFileName(structure.name));
+    return { text: error ? '' : `${lines.join('\r\n')}\r\n`, error };
+}
+
+/**
+ * Exports several structures as one .mpd file, one embedded model per structure.
+ * Structures that can't be built are left out and reported.
+ * @param {Array<{name: string, data: Array}>} structures - Structures from structures.json.
+ * @returns {{text: string, errors: string[]}} The file contents and any per-structure errors.
+ */
+export function exportMpd(structures) {
+    const blocks = [];
+    const errors = [];
+    structures.forEach(structure => {
+        const fileName = ldrawFileName(structure.name);
+        const { lines, error } = structureToLines(structure, fileName);
+        if (error) { errors.push(`${structure.name}: ${error}`); return; }
+        blocks.push([`0 FILE ${fileName}`, ...lines, '0 NOFILE'].join('\r\n'));
+    });
+    return { text: `${blocks.join('\r\n')}\r\n`, errors };
+}
+
+/**
+ * Splits LDraw text into models. Plain .ldr text is a single model; .mpd text has one per `0 FILE` block.
+ * @param {string} text - The file contents.
+ * @param {string} defaultName - Name for a plain .ldr model.
+ * @returns {Array<{name: string, lines: Array<{number: number, text: string}>}>} The models in file order.
+ */
+function splitModels(text, defaultName) {
+    const models = [];
+    let current = null;
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        const fileMatch = line.match(/^0\s+FILE\s+(.+)$/i);
+        if (fileMatch) {
+            current = { name: fileMatch[1].replace(/\.(ldr|dat)$/i, ''), lines: [] };
+            models.push(current);
+            return;
+        }
+        if (/^0\s+NOFILE\b/i.test(line)) { current = null; return; }
+        if (!current) {
+            if (models.length > 0) return; // Text between MPD blocks
+            current = { name: defaultName, lines: [] };
+            models.push(current);
+        }
+        current.lines.push({ number: index + 1, text: line });
+    });
+    return models;
+}
+
+/**
+ * Parses one model into brick meshes positioned in scene units.
+ * @param {{name: string, lines: Array<{number: number, text: string}>}} model - A model from splitModels.
+ * @returns {{name: string, meshes: THREE.Mesh[], errors: string[], warnings: string[]}}
+ */
+function parseModel(model) {
+    const meshes = [];
+    const errors = [];
+    const warnings = [];
+    let name = model.name;
+
+    model.lines.forEach(({ number, text }) => {
+        if (!text) return;
+        const tokens = text.split(/\s+/);
+        if (tokens[0] === '0') {
+            // The first plain comment is the model's title, unless it is a meta command
+            if (number === model.lines[0].number && tokens.length > 1 && !/^(Name:|Author:|!)/.test(tokens[1])) name = tokens.slice(1).join(' ');
+            return;
+        }
+        if (tokens[0] !== '1') {
+            warnings.push(`Line ${number}: ignored line type ${tokens[0]} (only part references are imported).`);
+            return;
+        }
+        if (tokens.length < 15) {
+            errors.push(`Line ${number}: part reference has ${tokens.length} fields, expected 15.`);
+            return;
+        }
+
+        const part = tokens.slice(14).join(' ').toLowerCase();
+        const type = TYPES_BY_PART[part];
+        if (!type) {
+            errors.push(`Line ${number}: part '${part}' has no brick type mapping (known parts: ${Object.values(LDRAW_PARTS).join(', ')}).`);
+            return;
+        }
+        const directColour = DIRECT_COLOUR_PATTERN.exec(tokens[1]);
+        let colour = directColour ? `#${directColour[1].toLowerCase()}` : COLOURS_BY_CODE[Number(tokens[1])];
+        if (!colour) {
+            warnings.push(`Line ${number}: LDraw colour ${tokens[1]} has no colour name mapping; using 'default'.`);
+            colour = "default";
+        }
+
+        const [x, y, z, a, b, c, d, e, f, g, h, i] = tokens.slice(2, 14).map(Number);
+        if ([x, y, z, a, b, c, d, e, f, g, h, i].some(Number.isNaN)) {
+            errors.push(`Line ${number}: part reference contains a non-numeric value.`);
+            return;
+        }
+        // Only quarter turns about the vertical axis can seat a brick on the stud grid
+        const near = (value, target) => Math.abs(value - target) < MATRIX_TOLERANCE;
+        const isQuarterTurn = near(b, 0) && near(d, 0) && near(f, 0) && near(h, 0) && near(e, 1) &&
+            [a, c, g, i].every(v => near(v, 0) || near(Math.abs(v), 1)) && near(a, i) && near(c, -g);
+        if (!isQuarterTurn) {
+            errors.push(`Line ${number}: part '${part}' is not rotated by a multiple of 90° about the vertical axis.`);
+            return;
+        }
+
+        const brickDef = BRICK_DEFINITIONS[type];
+        const ldrawRotation = new THREE.Matrix4().set(a, b, c, 0, d, e, f, 0, g, h, i, 0, 0, 0, 0, 1);
+        const rotation = AXIS_FLIP.clone().multiply(ldrawRotation).multiply(AXIS_FLIP).multiply(partTurn(type).invert());
+
+        const mesh = new THREE.Mesh();
+        mesh.quaternion.setFromRotationMatrix(rotation);
+        // Part origin is the centre of the top face; the mesh origin is the brick's centre
+        mesh.position.set(x / LDU_PER_STUD * STUD_SIZE, -y / LDU_PER_PLATE * PLATE_HEIGHT - brickDef.Size.y / 2, -z / LDU_PER_STUD * STUD_SIZE);
+        mesh.userData = { id: type === "base" ? "1" : undefined, type, colour, macaddress: "" };
+        mesh.name = `LDraw line ${number}`;
+        meshes.push(mesh);
+    });
+
+    return { name, meshes, errors, warnings };
+}
+
+/**
+ * Imports LDraw text (.ldr, or .mpd with one structure per embedded model) into structures.
+ *
+ * A model needs exactly one base plate (3031.dat); every other part must map to a brick type.
+ * Links between bricks are worked out from which studs line up, as when saving an edited scene.
+ * Any error in a model means that model is not returned.
+ *
+ * @param {string} text - The file contents.
+ * @param {string} [defaultName="Imported LDraw model"] - Name for a plain .ldr model without a title line.
+ * @returns {{structures: Array<{name: string, data: Array}>, errors: string[], warnings: string[]}}
+ */
+export function importLdraw(text, defaultName = "Imported LDraw model") {
+    const structures = [];
+    const errors = [];
+    const warnings = [];
+
+    splitModels(text, defaultName).forEach(model => {
+        const parsed = parseModel(model);
+        const prefix = message => `${parsed.name}: ${message}`;
+        warnings.push(...parsed.warnings.map(prefix));
+
+        const bases = parsed.meshes.filter(mesh => mesh.userData.type === "base");
+        if (bases.length !== 1) parsed.errors.push(`Model needs exactly one base plate (${LDRAW_PARTS["base"]}), found ${bases.length}.`);
+        if (parsed.errors.length > 0) { errors.push(...parsed.errors.map(prefix)); return; }
+
+        const { structure, warnings: linkWarnings } = serializeScene({
+            name: parsed.name,
+            baseMesh: bases[0],
+            meshes: parsed.meshes.filter(mesh => mesh !== bases[0]),
+            brickDefinitions: BRICK_DEFINITIONS,
+            studSize: STUD_SIZE
+        });
+        warnings.push(...linkWarnings.map(prefix));
+        structures.push(structure);
+    });
+
+    if (structures.length === 0 && errors.length === 0) errors.push("No LDraw models found.");
+    return { structures, errors, warnings };
+}
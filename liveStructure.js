@@ -0,0 +1,115 @@
+// --- Live Structure Events ---
+// Applies brick hub messages to structure data. Pure and DOM-free, so it can also be exercised under Node.
+//
+// Message types (JSON, one per WebSocket message):
+//   { "type": "snapshot", "name": "...", "data": [ ...bricks ] }
+//       Replaces the whole structure.
+//   { "type": "connect", "from": { "brick": "1", "hole": 0 }, "to": { "brick": "56", "hole": 1 },
+//     "orientation": 0, "newBrick": { "id": "56", "type": "1x1", "colour": "yellow", "macaddress": "..." } }
+//       Links a hole on one brick to a hole on another. `from` is the stud side (the lower brick's top hole, or a
+//       side stud) and carries the orientation (a quarter turn: 0, 90, 180 or 270), as in structures.json; for a
+//       pin link both are pin holes and the orientation may be any angle. `newBrick` describes a brick the
+//       structure doesn't know yet.
+//   { "type": "disconnect", "from": { "brick": "1", "hole": 0 } }
+//       Clears a link on both sides. Bricks are never removed: ones cut off from the base (alone or with what is
+//       still on them) stay in the data, and the solver shows them in the tray until they are linked again.
+import { getValidHoleIds, hasTopHoles, holeConnector, connectorsMate, normaliseOrientation } from './structureValidator.js';
+
+/**
+ * Creates an unconnected hole list for a brick type.
+ * @param {object} brickDef - The brick definition.
+ * @param {number} studSize - Scene units per stud.
+ * @returns {Array} Hole entries with no connections.
+ */
+function emptyHoles(brickDef, studSize) {
+    return getValidHoleIds(brickDef, studSize).map(id => {
+        const hole = { id, brick: "-1", connectedToHole: -1, orientation: 0 };
+        const { axis } = holeConnector(brickDef, id);
+        if (axis !== "+y" && axis !== "-y") hole.axis = axis; // Side holes say which face they are on
+        return hole;
+    });
+}
+
+/**
+ * Copies structure data deeply enough that hole edits don't touch the original.
+ * @param {Array} data - The brick array.
+ * @returns {Array} The copy.
+ */
+function cloneData(data) {
+    return data.map(brick => ({ ...brick, holes: Array.isArray(brick.holes) ? brick.holes.map(hole => ({ ...hole })) : [] }));
+}
+
+/**
+ * Applies one hub message to a structure.
+ * @param {Array} data - The current brick array (not modified).
+ * @param {object} event - The parsed hub message.
+ * @param {object} brickDefinitions - Map of brick type name to brick definition.
+ * @param {number} studSize - Scene units per stud.
+ * @returns {{data: Array, name: string | null, error: string | null}} The new brick array (unchanged on error),
+ *   and the structure name if the message carried one.
+ */
+export function applyHubEvent(data, event, brickDefinitions, studSize) {
+    const fail = (error) => ({ data, name: null, error });
+    if (!event || typeof event !== 'object') return fail("Message is not an object.");
+
+    if (event.type === 'snapshot') {
+        if (!Array.isArray(event.data)) return fail("Snapshot has no 'data' array.");
+        const badIndex = event.data.findIndex(brick => !brick || typeof brick !== 'object');
+        if (badIndex !== -1) return fail(`Snapshot entry ${badIndex} is not a brick object.`);
+        return { data: cloneData(event.data), name: event.name ?? null, error: null };
+    }
+
+    if (event.type === 'connect' || event.type === 'disconnect') {
+        const next = cloneData(data);
+        const findBrick = id => next.find(brick => String(brick.id) === String(id));
+        const findHole = (brick, holeId) => brick?.holes.find(hole => hole.id === holeId);
+        const clearLink = (brick, hole) => {
+            if (!hole || String(hole.brick) === "-1") return;
+            const other = findHole(findBrick(hole.brick), hole.connectedToHole);
+            if (other && String(other.brick) === String(brick.id)) Object.assign(other, { brick: "-1", connectedToHole: -1, orientation: 0 });
+            Object.assign(hole, { brick: "-1", connectedToHole: -1, orientation: 0 });
+        };
+
+        if (!event.from || event.from.brick === undefined || event.from.hole === undefined) return fail(`'${event.type}' needs 'from.brick' and 'from.hole'.`);
+        const fromBrick = findBrick(event.from.brick);
+        const fromHole = findHole(fromBrick, event.from.hole);
+        if (!fromHole) return fail(`Unknown hole ${event.from.hole} on brick ${event.from.brick}.`);
+
+        if (event.type === 'disconnect') {
+            clearLink(fromBrick, fromHole);
+            return { data: next, name: null, error: null };
+        }
+
+        if (!event.to || event.to.brick === undefined || event.to.hole === undefined) return fail("'connect' needs 'to.brick' and 'to.hole'.");
+        let toBrick = findBrick(event.to.brick);
+        if (!toBrick) {
+            const info = event.newBrick;
+            if (!info || String(info.id) !== String(event.to.brick)) return fail(`Brick ${event.to.brick} is unknown and no matching 'newBrick' was sent.`);
+            const brickDef = brickDefinitions[info.type];
+            if (!brickDef) return fail(`New brick ${info.id} has unknown type '${info.type}'.`);
+            toBrick = { id: String(info.id), colour: info.colour ?? "default", type: info.type, macaddress: info.macaddress ?? "", holes: emptyHoles(brickDef, studSize) };
+            next.push(toBrick);
+        }
+        const toHole = findHole(toBrick, event.to.hole);
+        if (!toHole) return fail(`Unknown hole ${event.to.hole} on brick ${event.to.brick}.`);
+        const fromDef = brickDefinitions[fromBrick.type];
+        const fromKind = fromDef ? holeConnector(fromDef, fromHole.id).kind : "stud";
+        if (fromKind === "socket" && !hasTopHoles(fromDef)) return fail(`Brick ${fromBrick.id} (${fromBrick.type}) has no top holes; nothing can be attached on it.`);
+        if (fromKind === "socket") return fail(`Hole ${fromHole.id} on brick ${fromBrick.id} is not a top hole, side stud or pin hole.`);
+        const toDef = brickDefinitions[toBrick.type];
+        const toKind = toDef ? holeConnector(toDef, toHole.id).kind : "socket";
+        if (!connectorsMate(fromKind, toKind)) return fail(`Hole ${fromHole.id} on brick ${fromBrick.id} (${fromKind}) can't join hole ${toHole.id} on brick ${toBrick.id} (${toKind}).`);
+        const isPin = fromKind === "pin-hole";
+        const orientation = normaliseOrientation(event.orientation, isPin);
+        if (orientation === null) return fail(`Orientation ${event.orientation} can't seat a brick on the studs; use 0, 90, 180 or 270.`);
+
+        // A hole holds one link; replace whatever either side was linked to before
+        clearLink(fromBrick, fromHole);
+        clearLink(toBrick, toHole);
+        Object.assign(fromHole, { brick: String(toBrick.id), connectedToHole: toHole.id, orientation });
+        Object.assign(toHole, { brick: String(fromBrick.id), connectedToHole: fromHole.id, orientation: isPin ? orientation : 0 });
+        return { data: next, name: null, error: null };
+    }
+
+    return fail(`Unknown message type '${event.type}'.`);
+}
@@ -0,0 +1,87 @@
+// --- Parts List ---
+// Counts the pieces a structure needs by type and colour (a bill of materials), for one structure or totalled over
+// several, and writes the counts as CSV or JSON. DOM-free; partsPanel.js shows them.
+import { resolveBrickColour, hexToCss } from './brickColours.js';
+
+/**
+ * Counts bricks by type and colour. Colours are compared resolved, so "Red" and "red" are one part; unknown
+ * colours are kept apart by their raw text.
+ * @param {Array<{id: string, type: string, colour: string}>} bricks - Brick entries from structure data, or the
+ *   userData of brick meshes (e.g. user-placed clones). The base is skipped.
+ * @returns {Array<{type: string, colour: string, name: string, hex: number, finish: string, known: boolean,
+ *   count: number, brickIds: string[]}>} One row per part, most needed first; `name`, `hex`, `finish` and `known`
+ *   are the resolved colour.
+ */
+export function countParts(bricks) {
+    const parts = new Map();
+    bricks.forEach(brick => {
+        if (!brick || brick.type === "base") return;
+        const resolved = resolveBrickColour(brick.colour);
+        const key = `${brick.type}|${resolved.known ? resolved.name : `?${brick.colour}`}`;
+        if (!parts.has(key)) parts.set(key, { type: String(brick.type), colour: String(brick.colour ?? ""), ...resolved, count: 0, brickIds: [] });
+        const part = parts.get(key);
+        part.count++;
+        part.brickIds.push(String(brick.id));
+    });
+    return [...parts.values()].sort((a, b) => b.count - a.count || a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Totals the parts of several structures.
+ * @param {Array<{name: string, data: Array}>} structures - The structures (e.g. everything loaded).
+ * @returns {Array<object>} Rows as for countParts, without `brickIds` (ids repeat between structures) but with
+ *   `structureCount`, the number of structures that use the part.
+ */
+export function totalParts(structures) {
+    const totals = new Map();
+    structures.forEach(structure => {
+        countParts(Array.isArray(structure?.data) ? structure.data : []).forEach(({ brickIds, ...part }) => {
+            const key = `${part.type}|${part.known ? part.name : `?${part.colour}`}`;
+            if (!totals.has(key)) totals.set(key, { ...part, count: 0, structureCount: 0 });
+            const total = totals.get(key);
+            total.count += part.count;
+            total.structureCount++;
+        });
+    });
+    return [...totals.values()].sort((a, b) => b.count - a.count || a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Quotes a CSV field if it needs it.
+ * @param {*} value - The field's value.
+ * @returns {string} The field as written to the file.
+ */
+function csvField(value) {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes parts as CSV, one row per part.
+ * @param {Array<object>} parts - Rows from countParts or totalParts.
+ * @returns {string} The CSV text, with a header row: type, colour (the resolved name), finish, count, and
+ *   structures for totals.
+ */
+export function partsToCsv(parts) {
+    const totals = parts.some(part => part.structureCount !== undefined);
+    const header = ["type", "colour", "finish", "count", ...(totals ? ["structures"] : [])];
+    const rows = parts.map(part => [part.type, part.known ? part.name : part.colour, part.finish, part.count, ...(totals ? [part.structureCount] : [])]);
+    return `${[header, ...rows].map(row => row.map(csvField).join(",")).join("\r\n")}\r\n`;
+}
+
+/**
+ * Writes parts as JSON.
+ * @param {Array<object>} parts - Rows from countParts or totalParts.
+ * @returns {string} A pretty-printed array of `{type, colour, hex ("#rrggbb"), finish, count}` (plus `structures`
+ *   for totals); unknown colours keep their raw text.
+ */
+export function partsToJSON(parts) {
+    return `${JSON.stringify(parts.map(part => ({
+        type: part.type,
+        colour: part.known ? part.name : part.colour,
+        hex: hexToCss(part.hex),
+        finish: part.finish,
+        count: part.count,
+        ...(part.structureCount !== undefined ? { structures: part.structureCount } : {})
+    })), null, 2)}\n`;
+}
@@ -0,0 +1,126 @@
+// --- Parts Panel ---
+// Shows a parts list (see partsList.js) in the page: one table for the structure on screen, user-placed bricks
+// included, and one totalled over every loaded structure, each row with a small picture of the part and each
+// table with CSV and JSON downloads. The viewer only says what is on screen.
+import * as THREE from 'three';
+import { getBrickDefinition } from './brickDefinitions.js';
+import { createBrickMesh } from './structureBuilder.js';
+import { countParts, totalParts, partsToCsv, partsToJSON } from './partsList.js';
+import { downloadFile } from './download.js';
+
+// Edge length of a part picture, in CSS pixels
+const THUMBNAIL_SIZE = 40;
+
+let thumbnailRenderer = null; // Created on first use and kept, since browsers limit WebGL contexts
+const thumbnailCache = new Map(); // "type|colour" -> data URL ('' if the type is unknown)
+
+/**
+ * Renders a small picture of a part from its brick definition, seen from above at an angle.
+ * @param {string} type - The brick type.
+ * @param {string} colour - The colour field (anything resolveBrickColour accepts).
+ * @returns {string} A PNG data URL, or '' if the type is unknown. Pictures are cached.
+ */
+export function renderPartThumbnail(type, colour) {
+    const key = `${type}|${colour}`;
+    if (thumbnailCache.has(key)) return thumbnailCache.get(key);
+    const brickDef = getBrickDefinition(type);
+    if (!brickDef) { thumbnailCache.set(key, ''); return ''; }
+
+    if (!thumbnailRenderer) {
+        thumbnailRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+        thumbnailRenderer.setPixelRatio(window.devicePixelRatio);
+        thumbnailRenderer.setSize(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    }
+    const scene = new THREE.Scene();
+    scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const light = new THREE.DirectionalLight(0xffffff, 1.0);
+    light.position.set(5, 10, 7.5);
+    scene.add(light);
+    const mesh = createBrickMesh(brickDef, { id: "thumbnail", type, colour });
+    scene.add(mesh);
+
+    // Fit the brick's bounding sphere into the view
+    const radius = brickDef.Size.length() / 2;
+    const camera = new THREE.PerspectiveCamera(30, 1, 0.1, radius * 20);
+    const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+    camera.position.set(1, 0.9, 1.2).normalize().multiplyScalar(distance);
+    camera.lookAt(0, 0, 0);
+    thumbnailRenderer.render(scene, camera);
+    const url = thumbnailRenderer.domElement.toDataURL('image/png');
+
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    thumbnailCache.set(key, url);
+    return url;
+}
+
+/**
+ * Builds one titled table of parts with its download buttons.
+ * @param {string} title - The table's title.
+ * @param {Array<object>} parts - Rows from countParts or totalParts.
+ * @param {string} fileName - File name for the downloads, without extension.
+ * @returns {HTMLElement} The section.
+ */
+function createPartsSection(title, parts, fileName) {
+    const section = document.createElement('section');
+    const heading = document.createElement('div');
+    heading.className = 'partsTitle';
+    heading.textContent = `${title} (${parts.reduce((total, part) => total + part.count, 0)} pieces)`;
+    section.appendChild(heading);
+
+    const table = document.createElement('table');
+    parts.forEach(part => {
+        const row = table.insertRow();
+        const picture = row.insertCell();
+        const url = renderPartThumbnail(part.type, part.colour);
+        if (url) {
+            const image = document.createElement('img');
+            image.src = url;
+            image.width = image.height = THUMBNAIL_SIZE;
+            image.alt = `${part.type} ${part.name}`;
+            picture.appendChild(image);
+        }
+        row.insertCell().textContent = part.type;
+        const colourCell = row.insertCell();
+        colourCell.textContent = `${part.known ? part.name : `${part.colour || '(none)'} (unknown)`}${part.finish !== 'solid' ? ` (${part.finish})` : ''}`;
+        if (!part.known) colourCell.className = 'unknown';
+        row.insertCell().textContent = `×${part.count}`;
+        if (part.structureCount !== undefined) row.title = `Used in ${part.structureCount} structure(s)`;
+        else row.title = `Bricks ${part.brickIds.join(', ')}`;
+    });
+    section.appendChild(table);
+
+    const safeName = fileName.replace(/[^\w-]+/g, '_');
+    const csvButton = document.createElement('button');
+    csvButton.textContent = 'CSV';
+    csvButton.addEventListener('click', () => downloadFile(partsToCsv(parts), `${safeName}.csv`, 'text/csv'));
+    const jsonButton = document.createElement('button');
+    jsonButton.textContent = 'JSON';
+    jsonButton.addEventListener('click', () => downloadFile(partsToJSON(parts), `${safeName}.json`, 'application/json'));
+    csvButton.disabled = jsonButton.disabled = parts.length === 0;
+    section.append(csvButton, jsonButton);
+    return section;
+}
+
+/**
+ * Fills a panel with the parts lists for the structure on screen and for everything loaded.
+ * Does nothing if the page has no panel.
+ * @param {HTMLElement | null} panel - The element to fill (its contents are replaced).
+ * @param {object} lists
+ * @param {string} lists.name - The name of the structure on screen.
+ * @param {Array<object>} lists.bricks - The bricks on screen: the structure's data entries plus the userData of
+ *   user-placed brick meshes.
+ * @param {Array<{name: string, data: Array}>} lists.structures - Every loaded structure, for the totals.
+ */
+export function showPartsPanel(panel, { name, bricks, structures }) {
+    if (!panel) return;
+    panel.innerHTML = '';
+    const current = countParts(bricks);
+    const totals = totalParts(structures);
+    panel.hidden = current.length === 0 && totals.length === 0;
+    if (panel.hidden) return;
+    panel.append(
+        createPartsSection(`Parts: ${name}`, current, `${name} parts`),
+        createPartsSection(`All ${structures.length} structure(s)`, totals, 'all structures parts')
+    );
+}
@@ -0,0 +1,158 @@
+// --- Roblox Model Export ---
+// Writes a built structure as a Roblox XML model (.rbxmx) that can be dropped into Studio.
+// Each brick becomes an anchored Part whose CFrame and Size come from the mesh transform and
+// whose colour and finish come from the brick palette, matching what the in-game builder places.
+import * as THREE from 'three';
+import { STUD_SIZE, BRICK_DEFINITIONS } from './brickDefinitions.js';
+import { resolveBrickColour } from './brickColours.js';
+
+// Scene constants are doubled relative to Roblox (STUD_SIZE 2 = 1 Roblox stud)
+const ROBLOX_STUDS_PER_UNIT = 1 / STUD_SIZE;
+
+/**
+ * Maps palette names to the nearest BrickColor number; other colours use the default. The exact colour
+ * is also written as Color3uint8, which Studio uses for display; BrickColor is kept for scripts that read it.
+ */
+export const ROBLOX_BRICK_COLORS = {
+    "white": 1001,   // Institutional white
+    "yellow": 1009,  // New Yeller
+    "blue": 1010,    // Really blue
+    "orange": 1005,  // Deep orange
+    "pink": 1016,    // Pink
+    "purple": 104,   // Bright violet
+    "green": 1020,   // Lime green
+    "black": 26,     // Black
+    "red": 21,       // Bright red
+    "dark-red": 154, // Dark red
+    "tan": 5,        // Brick yellow
+    "reddish-brown": 192, // Reddish brown
+    "light-bluish-grey": 194, // Medium stone grey
+    "dark-bluish-grey": 199,  // Dark stone grey
+    "trans-clear": 40, // Transparent
+    "trans-red": 41,   // Tr. Red
+    "default": 194   // Medium stone grey
+};
+
+// Enum values used in Part properties
+const SURFACE_SMOOTH = 0;
+const MATERIAL_PLASTIC = 256;
+const MATERIAL_SMOOTH_PLASTIC = 272;
+const MATERIAL_METAL = 1088;
+const MATERIAL_FOIL = 1040;
+
+// Part Material and Transparency for each brick finish
+const ROBLOX_FINISHES = {
+    "solid": { material: MATERIAL_PLASTIC, transparency: 0 },
+    "transparent": { material: MATERIAL_SMOOTH_PLASTIC, transparency: 0.5 },
+    "metallic": { material: MATERIAL_METAL, transparency: 0 },
+    "pearl": { material: MATERIAL_SMOOTH_PLASTIC, transparency: 0 },
+    "chrome": { material: MATERIAL_FOIL, transparency: 0 }
+};
+
+/**
+ * Escapes text for use inside an XML element.
+ * @param {string} text - The raw text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a number for the model file, dropping float noise and negative zero.
+ * @param {number} value - The number.
+ * @returns {string} The formatted number.
+ */
+function formatNumber(value) {
+    const rounded = Number(value.toFixed(6));
+    return String(rounded === 0 ? 0 : rounded);
+}
+
+/**
+ * Writes the XML for one Part.
+ * @param {THREE.Mesh} mesh - A positioned brick mesh with userData.type and userData.colour.
+ * @param {string} referent - Unique referent for the item.
+ * @param {string} indent - Leading whitespace for the item.
+ * @returns {string} The Part's XML.
+ */
+function partXml(mesh, referent, indent) {
+    const brickDef = BRICK_DEFINITIONS[mesh.userData.type];
+    const { name: colourName, hex, finish } = resolveBrickColour(mesh.userData.colour);
+    const brickColor = ROBLOX_BRICK_COLORS[colourName] ?? ROBLOX_BRICK_COLORS["default"];
+    // Color3uint8 is stored as 0xAARRGGBB with full alpha
+    const color3uint8 = (0xff000000 + hex) >>> 0;
+    const { material, transparency } = ROBLOX_FINISHES[finish];
+
+    mesh.updateWorldMatrix(true, false);
+    const position = mesh.getWorldPosition(new THREE.Vector3()).multiplyScalar(ROBLOX_STUDS_PER_UNIT);
+    const rotation = new THREE.Matrix4().makeRotationFromQuaternion(mesh.getWorldQuaternion(new THREE.Quaternion())).elements;
+    // CFrame rotation is row-major (R00 R01 R02 ...); Matrix4.elements is column-major
+    const rotationRows = [0, 1, 2].flatMap(row => [0, 1, 2].map(col => rotation[col * 4 + row]));
+    const size = brickDef.Size.clone().multiplyScalar(ROBLOX_STUDS_PER_UNIT);
+
+    const p = `${indent}\t\t`;
+    return [
+        `${indent}<Item class="Part" referent="${referent}">`,
+        `${indent}\t<Properties>`,
+        `${p}<string name="Name">${escapeXml(mesh.name || `Brick_${mesh.userData.id}`)}</string>`,
+        `${p}<bool name="Anchored">true</bool>`,
+        `${p}<int name="BrickColor">${brickColor}</int>`,
+        `${p}<Color3uint8 name="Color3uint8">${color3uint8}</Color3uint8>`,
+        `${p}<CoordinateFrame name="CFrame">`,
+        `${p}\t<X>${formatNumber(position.x)}</X>`,
+        `${p}\t<Y>${formatNumber(position.y)}</Y>`,
+        `${p}\t<Z>${formatNumber(position.z)}</Z>`,
+        ...rotationRows.map((value, i) => `${p}\t<R${Math.floor(i / 3)}${i % 3}>${formatNumber(value)}</R${Math.floor(i / 3)}${i % 3}>`),
+        `${p}</CoordinateFrame>`,
+        `${p}<token name="Material">${material}</token>`,
+        `${p}<float name="Transparency">${transparency}</float>`,
+        `${p}<token name="TopSurface">${SURFACE_SMOOTH}</token>`,
+        `${p}<token name="BottomSurface">${SURFACE_SMOOTH}</token>`,
+        `${p}<Vector3 name="size">`,
+        `${p}\t<X>${formatNumber(size.x)}</X>`,
+        `${p}\t<Y>${formatNumber(size.y)}</Y>`,
+        `${p}\t<Z>${formatNumber(size.z)}</Z>`,
+        `${p}</Vector3>`,
+        `${indent}\t</Properties>`,
+        `${indent}</Item>`
+    ].join('\n');
+}
+
+/**
+ * Builds an .rbxmx document for a structure.
+ * @param {object} params
+ * @param {string} params.name - Name of the top-level Model.
+ * @param {THREE.Mesh | null} params.baseMesh - The base plate mesh.
+ * @param {THREE.Object3D[]} params.groups - Groups whose mesh children are exported; the first is the loaded
+ *   structure, any others are user-placed groups and become nested Models.
+ * @returns {string} The model file contents.
+ */
+export function createRbxmx({ name, baseMesh, groups }) {
+    let nextReferent = 0;
+    const referent = () => `RBX${nextReferent++}`;
+
+    const modelXml = (modelName, meshes, children, indent) => [
+        `${indent}<Item class="Model" referent="${referent()}">`,
+        `${indent}\t<Properties>`,
+        `${indent}\t\t<string name="Name">${escapeXml(modelName)}</string>`,
+        `${indent}\t</Properties>`,
+        ...meshes.map(mesh => partXml(mesh, referent(), `${indent}\t`)),
+        ...children.map(child => child(`${indent}\t`)),
+        `${indent}</Item>`
+    ].join('\n');
+
+    const meshesOf = group => group.children.filter(child => child.isMesh && BRICK_DEFINITIONS[child.userData.type]);
+    const [structureGroup, ...placedGroups] = groups;
+    const rootMeshes = [...(baseMesh ? [baseMesh] : []), ...(structureGroup ? meshesOf(structureGroup) : [])];
+    const placedModels = placedGroups.map((group, index) =>
+        indent => modelXml(group.name || `UserPlaced_${index + 1}`, meshesOf(group), [], indent));
+
+    return [
+        '<roblox xmlns:xmime="http://www.w3.org/2005/05/xmlmime" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="http://www.roblox.com/roblox.xsd" version="4">',
+        '\t<External>null</External>',
+        '\t<External>nil</External>',
+        modelXml(name, rootMeshes, placedModels, '\t'),
+        '</roblox>',
+        ''
+    ].join('\n');
+}
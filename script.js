@@ -2,11 +2,10 @@
 import * as THREE from 'three';
 // Import OrbitControls for camera manipulation (pan, zoom, rotate)
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-
-// --- Configuration & Constants (Mirrors Roblox-like dimensions) ---
-const STUD_SIZE = 2;        // Base unit size for studs (doubled for visual clarity)
-const PLATE_HEIGHT = 2.4;   // Height of a standard plate (doubled)
-const BASE_COLOR = 0xffffff; // Default color for the base plate (white)
+// Shared brick constants and the catalog-generated brick definitions
+import { STUD_SIZE, PLATE_HEIGHT } from './brickDefinitions.js';
+// Builds the brick meshes (shapes and finishes included) where the solver places them
+import { buildStructureMeshes } from './structureBuilder.js';
 
 // --- Scene Setup Variables ---
 let scene, camera, renderer, controls; // Core Three.js components
@@ -128,116 +127,7 @@ function animate() {
 }
 
 // --- Brick Logic ---
-
-/**
- * Defines the properties of different brick types, including their size
- * and the relative positions of their connection holes (studs/anti-studs).
- * Positions are relative to the brick's center.
- * Hole IDs generally follow a pattern: top surface first, then bottom surface.
- */
-const BRICK_DEFINITIONS = {
-    "base": {
-        // Size in studs (X), plate height (Y), studs (Z) multiplied by constants
-        Size: new THREE.Vector3(4 * STUD_SIZE, PLATE_HEIGHT, 4 * STUD_SIZE),
-        // Function to get the local 3D offset of a hole (stud) on the base plate
-        HoleOffsets: function(holeId) {
-            const col = holeId % 4; // Column index (0-3)
-            const row = Math.floor(holeId / 4); // Row index (0-3)
-            // Calculate X offset based on column, centering the grid
-            const xOffset = (col - 1.5) * STUD_SIZE;
-            // Calculate Z offset based on row, centering the grid
-            const zOffset = (row - 1.5) * STUD_SIZE;
-            // Y offset is always half the plate height (top surface)
-            const yOffset = PLATE_HEIGHT / 2;
-            return new THREE.Vector3(xOffset, yOffset, zOffset);
-        },
-        IsBase: true // Flag indicating this is the base plate
-    },
-    "3x1": {
-        Size: new THREE.Vector3(3 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE),
-        // Function to get hole offsets for a 3x1 brick
-        HoleOffsets: function(holeId) {
-            // Top holes (0, 1, 2) are on top surface, bottom holes (3, 4, 5) on bottom
-            const yOffset = (holeId <= 2) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2);
-            let xOffset = 0; // Center hole by default
-            if (holeId === 0 || holeId === 3) xOffset = -1 * STUD_SIZE; // Left hole
-            if (holeId === 2 || holeId === 5) xOffset = 1 * STUD_SIZE;  // Right hole
-            const zOffset = 0; // No Z offset for a 1-stud wide brick
-            return new THREE.Vector3(xOffset, yOffset, zOffset);
-        },
-        TopHoleIds: [0, 1, 2],    // IDs of holes on the top surface
-        BottomHoleIds: [3, 4, 5] // IDs of holes on the bottom surface
-    },
-    "2x1": {
-        Size: new THREE.Vector3(2 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE),
-        HoleOffsets: function(holeId) {
-            const yOffset = (holeId <= 1) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); // Top (0,1) or bottom (2,3)
-            // X offset is +/- half a stud size from the center
-            const xOffset = (holeId === 0 || holeId === 2) ? (-0.5 * STUD_SIZE) : (0.5 * STUD_SIZE);
-            const zOffset = 0;
-            return new THREE.Vector3(xOffset, yOffset, zOffset);
-        },
-        TopHoleIds: [0, 1],
-        BottomHoleIds: [2, 3]
-    },
-    "1x1": {
-        Size: new THREE.Vector3(1 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE),
-        HoleOffsets: function(holeId) {
-            const yOffset = (holeId === 0) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); // Top (0) or bottom (1)
-            const xOffset = 0; // Centered
-            const zOffset = 0; // Centered
-            return new THREE.Vector3(xOffset, yOffset, zOffset);
-        },
-        TopHoleIds: [0],
-        BottomHoleIds: [1]
-    }
-    // Add more brick definitions here as needed
-};
-
-// Maps color names (strings from JSON) to hexadecimal color values for Three.js materials
-const COLOR_MAP = {
-    "white": 0xffffff,
-    "yellow": 0xffff00,
-    "blue": 0x0000ff,
-    "orange": 0xffa500,
-    "pink": 0xffc0cb,
-    "purple": 0x800080,
-    "green": 0x00ff00,
-    "default": 0x888888 // Medium grey fallback for unknown colors
-};
-
-/**
- * Retrieves the definition object for a given brick type string.
- * @param {string} brickType - The type name (e.g., "2x1").
- * @returns {object | undefined} The brick definition object or undefined if not found.
- */
-function getBrickDefinition(brickType) {
-    return BRICK_DEFINITIONS[brickType];
-}
-
-/**
- * Converts a color name string to its corresponding hex value.
- * @param {string | null | undefined} colorName - The color name (case-insensitive).
- * @returns {number} The hex color value (defaults to grey if name is invalid).
- */
-function getBrickColorHex(colorName) {
-    // Convert name to lowercase and look up, defaulting to "default" color if not found or null/undefined
-    return COLOR_MAP[colorName?.toLowerCase()] || COLOR_MAP["default"];
-}
-
-/**
- * Checks if a given hole ID corresponds to a top surface hole for a specific brick definition.
- * Used to determine which connections represent placing a brick *on top* of another.
- * @param {object} brickDef - The brick definition object.
- * @param {number} holeId - The hole ID to check.
- * @returns {boolean} True if it's a top hole, false otherwise.
- */
-function isTopHole(brickDef, holeId) {
-    if (!brickDef) return false; // Added check for valid brickDef
-    if (brickDef.IsBase) return true; // All base plate holes are considered "top" for connection purposes
-    if (!brickDef.TopHoleIds) return false; // If no top holes defined, it can't be one
-    return brickDef.TopHoleIds.includes(holeId); // Check if the ID is in the list of top holes
-}
+// Brick types are generated from brickCatalog.json (see brickDefinitions.js)
 
 
 // --- Build Logic ---
@@ -285,179 +175,11 @@ function buildStructure(structureData) {
         return;
     }
 
-    // --- Data Preparation ---
-    // Create a map for quick lookup of brick data by ID (converted to string)
-    const bricksById = {};
-    decodedData.forEach(brickData => {
-        // Ensure brickData has an id before trying to use it as a key
-        if (brickData && typeof brickData.id !== 'undefined') {
-            bricksById[String(brickData.id)] = brickData;
-        } else {
-            console.warn("Found brick data without an ID:", brickData);
-        }
-    });
-
-    // Map to store created Three.js Meshes, keyed by brick ID
-    const threeMeshes = {};
-    // Set to keep track of brick IDs that have already been processed and added to the scene
-    const processedBrickIds = {};
-    // Queue for the Breadth-First Search (BFS) traversal of connected bricks
-    const queue = [];
-
-    // --- 1. Process Base Brick ---
-    // Find the base brick data (expected ID "1" and type "base")
-    const baseData = bricksById["1"];
-    if (!baseData || baseData.type !== "base") {
-        console.error("Could not find base brick (ID '1', type 'base') in structure data.");
-        updateStructureInfo("Missing or incorrect Base Brick in structure");
-        return; // Stop if base is missing
-    }
-    // Get the definition for the base brick
-    const baseDef = getBrickDefinition(baseData.type);
-    if (!baseDef) {
-        console.error("Invalid brick type definition for base:", baseData.type);
-        updateStructureInfo("Invalid Base Type Definition");
-        return; // Stop if definition is missing
-    }
-
-    // Create geometry and material for the base plate
-    const baseGeometry = new THREE.BoxGeometry(baseDef.Size.x, baseDef.Size.y, baseDef.Size.z);
-    const baseMaterial = new THREE.MeshStandardMaterial({
-        color: getBrickColorHex(baseData.colour), // Use color from JSON
-        roughness: 0.8, // Slightly rough surface
-        metalness: 0.1  // Slightly metallic appearance
-    });
-    // Create the mesh
-    basePlateMesh = new THREE.Mesh(baseGeometry, baseMaterial);
-    basePlateMesh.position.set(0, 0, 0); // Center the base plate at the world origin
-    scene.add(basePlateMesh); // Add the base plate directly to the scene (not the structureGroup)
-
-    // Store the base mesh, mark it as processed, and add its ID to the queue to start the BFS
-    threeMeshes[baseData.id] = basePlateMesh;
-    processedBrickIds[baseData.id] = true;
-    queue.push(baseData.id);
-
-    // console.log("Created Base Plate for current structure"); // Optional logging
-
-    // --- 2. Process Connections using Breadth-First Search (BFS) ---
-    while (queue.length > 0) {
-        const currentBrickId = queue.shift(); // Get the next brick ID from the front of the queue
-        const currentBrickData = bricksById[currentBrickId]; // Get its data
-        const currentMesh = threeMeshes[currentBrickId]; // Get its corresponding Three.js mesh
-
-        // Skip if data or mesh is missing
-        if (!currentBrickData || !currentMesh) {
-            console.warn(`Skipping processing for brick ID ${currentBrickId} - data or mesh missing.`);
-            continue;
-        }
-
-        const currentBrickDef = getBrickDefinition(currentBrickData.type); // Get its definition
-
-        // Skip if the brick definition is invalid or has no holes defined
-        // Also check if holes is actually an array
-        if (!currentBrickDef || !Array.isArray(currentBrickData.holes)) {
-             // Don't log error if it simply has no holes (like a final top brick)
-             if(!currentBrickDef) console.warn(`Invalid brick definition for type ${currentBrickData.type} (ID: ${currentBrickId})`);
-            continue;
-        }
-
-
-        // Iterate through each hole defined for the current brick
-        currentBrickData.holes.forEach(holeData => {
-            // Basic validation of holeData structure
-            if (!holeData || typeof holeData.brick === 'undefined' || typeof holeData.id === 'undefined') {
-                console.warn(`Invalid hole data structure found in brick ID ${currentBrickId}:`, holeData);
-                return; // Skip this malformed holeData entry
-            }
-
-            // Get the ID of the brick connected to this hole (as a string)
-            const connectedBrickIdStr = String(holeData.brick);
-
-            // Process connection only if:
-            // 1. It connects to another brick (ID is not "-1")
-            // 2. The hole on the *current* brick is a TOP hole (meaning the connected brick sits *on* this one)
-            // 3. The connected brick hasn't been processed yet
-            if (connectedBrickIdStr !== "-1" && isTopHole(currentBrickDef, holeData.id)) {
-                if (!processedBrickIds[connectedBrickIdStr]) {
-                    // Get the data and definition for the connected brick
-                    const connectedBrickData = bricksById[connectedBrickIdStr];
-                    if (connectedBrickData) {
-                        const connectedBrickDef = getBrickDefinition(connectedBrickData.type);
-                        if (connectedBrickDef) {
-                             // Further validation: check if connectedToHole exists
-                            if (typeof holeData.connectedToHole === 'undefined') {
-                                console.warn(`Missing 'connectedToHole' in connection from ${currentBrickId}:${holeData.id} to ${connectedBrickIdStr}`);
-                                return; // Skip this connection
-                            }
-
-                            // --- Core Placement Logic ---
-                            // console.log(`  Found connection: ${currentBrickId} (Hole ${holeData.id}) -> ${connectedBrickIdStr} (Hole ${holeData.connectedToHole}) @ ${holeData.orientation} deg`); // Optional logging
-
-                            // Get the local position offset of the connection hole on the current (bottom) brick
-                            const bottomHoleLocalOffset = currentBrickDef.HoleOffsets(holeData.id);
-                            // Get the local position offset of the corresponding connection hole on the connected (top) brick
-                            const topHoleLocalOffset = connectedBrickDef.HoleOffsets(holeData.connectedToHole);
-
-                             // Check if hole offsets are valid Vector3s before proceeding
-                            if (!(bottomHoleLocalOffset instanceof THREE.Vector3) || !(topHoleLocalOffset instanceof THREE.Vector3)) {
-                                console.error(`Invalid hole offset calculation for connection ${currentBrickId}:${holeData.id} -> ${connectedBrickIdStr}:${holeData.connectedToHole}. Bottom: ${bottomHoleLocalOffset}, Top: ${topHoleLocalOffset}`);
-                                return; // Skip this connection
-                            }
-
-                            // Calculate the WORLD position of the connection point on the current (bottom) brick's surface
-                            const bottomHoleWorldPos = currentMesh.localToWorld(bottomHoleLocalOffset.clone());
-
-                            // Calculate the WORLD rotation of the new (top) brick
-                            const parentQuaternion = new THREE.Quaternion();
-                            currentMesh.getWorldQuaternion(parentQuaternion);
-
-                            const relativeRotation = new THREE.Quaternion().setFromAxisAngle(
-                                new THREE.Vector3(0, 1, 0), // Rotation axis is Y (up)
-                                -THREE.MathUtils.degToRad(holeData.orientation || 0) // Use 0 if orientation is missing/undefined/null
-                            );
-
-                            const worldRotation = parentQuaternion.multiply(relativeRotation);
-
-                            // Calculate the world position adjustment
-                            const centerOffset = topHoleLocalOffset.clone().applyQuaternion(worldRotation);
-                            const newBrickPosition = bottomHoleWorldPos.clone().sub(centerOffset);
-
-                            // Create the new Three.js Mesh for the connected brick
-                            const newGeometry = new THREE.BoxGeometry(connectedBrickDef.Size.x, connectedBrickDef.Size.y, connectedBrickDef.Size.z);
-                            const newMaterial = new THREE.MeshStandardMaterial({
-                                color: getBrickColorHex(connectedBrickData.colour),
-                                roughness: 0.8,
-                                metalness: 0.1
-                            });
-                            const newMesh = new THREE.Mesh(newGeometry, newMaterial);
-
-                            // Apply the calculated world position and rotation
-                            newMesh.position.copy(newBrickPosition);
-                            newMesh.quaternion.copy(worldRotation);
-
-                            // Add the newly created brick mesh to the structure group
-                            structureGroup.add(newMesh);
-                            // console.log(`    Created Brick ${connectedBrickIdStr} at`, newMesh.position.toArray().map(n => n.toFixed(2))); // Optional logging
-
-
-                            // Store the new mesh, mark its ID as processed, and add it to the queue
-                            threeMeshes[connectedBrickIdStr] = newMesh;
-                            processedBrickIds[connectedBrickIdStr] = true;
-                            queue.push(connectedBrickIdStr);
-                            // --- End Core Placement Logic ---
-                        } else {
-                            console.warn("Invalid brick type definition for connected brick:", connectedBrickData.type, "ID:", connectedBrickIdStr);
-                        }
-                    } else {
-                        // This indicates an issue in the JSON data - a brick ID is referenced that doesn't exist in the structure array
-                        console.warn("Data not found for connected brick ID:", connectedBrickIdStr, "referenced from brick", currentBrickId, "(Hole", holeData.id, ")");
-                        // Mark as processed to avoid infinite loops if data is cyclically broken
-                        processedBrickIds[connectedBrickIdStr] = true;
-                    }
-                } // End if (!processedBrickIds...)
-            } // End if (is valid top connection...)
-        }); // End forEach hole
-    } // End while (queue.length > 0)
+    const { baseMesh, brickMeshes, error } = buildStructureMeshes(decodedData);
+    if (error) { console.error("Structure could not be placed:", error); updateStructureInfo(error); return; }
+    basePlateMesh = baseMesh;
+    scene.add(basePlateMesh); // The base goes straight into the scene
+    brickMeshes.forEach(mesh => structureGroup.add(mesh)); // Loaded bricks go into the structure group
 
     console.log("Structure building complete. Parts in structure group:", structureGroup.children.length); // Optional logging
 }
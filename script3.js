@@ -2,11 +2,14 @@
 import * as THREE from 'three';
 // Import OrbitControls for camera manipulation (pan, zoom, rotate)
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+// Shared brick constants and the catalog-generated brick definitions
+import { STUD_SIZE, PLATE_HEIGHT } from './brickDefinitions.js';
+// Builds the brick meshes (shapes and finishes included) where the solver places them
+import { buildStructureMeshes } from './structureBuilder.js';
+// Overlap checks for the clone being placed
+import { checkScenePlacement, clearPlacementMarkers } from './brickCollisions.js';
 
 // --- Configuration & Constants ---
-const STUD_SIZE = 2;
-const PLATE_HEIGHT = 2.4;
-const BASE_COLOR = 0xffffff;
 const GRID_Y_POSITION = 0; // Y-level of the grid plane for placement
 const MOVEMENT_INCREMENT = STUD_SIZE; // How much to move per arrow key press
 
@@ -28,6 +31,7 @@ let activeClone = null; // The mesh currently being moved by arrow keys
 let isMovingClone = false; // Flag: true if clone exists and is being moved
 let originalSelectedMaterial = null; // To restore material of selected original
 let originalCloneMaterial = null; // To restore material of placed clone
+const collisionMarkers = new THREE.Group(); // Red boxes where the moving clone runs into other bricks
 const highlightMaterial = new THREE.MeshStandardMaterial({ // Material for selected original
     color: 0xffff00, // Bright yellow
     emissive: 0xaaaa00, // Slight glow
@@ -72,6 +76,7 @@ async function init() {
 
     // Add the structure group to the scene
     scene.add(structureGroup);
+    scene.add(collisionMarkers);
 
     // --- Event Listeners ---
     window.addEventListener('resize', onWindowResize);
@@ -187,6 +192,12 @@ function onKeyDown(event) {
         if (isMovingClone) {
             // --- Place the active clone ---
             if (activeClone) {
+                // Refuse to put the clone down inside other bricks; it stays movable
+                const blockingIds = checkScenePlacement(scene, activeClone, collisionMarkers, { ignore: [basePlateMesh] });
+                if (blockingIds.length > 0) {
+                    console.warn(`Placement refused: the clone overlaps brick(s) ${blockingIds.join(', ')} (marked in red).`);
+                    return;
+                }
                 console.log("Placing clone at:", activeClone.position);
                 isMovingClone = false;
                 controls.enabled = true; // Re-enable camera controls
@@ -241,6 +252,7 @@ function onKeyDown(event) {
                 // activeClone.quaternion.copy(selectedOriginal.quaternion); // To keep rotation
 
                 scene.add(activeClone);
+                checkScenePlacement(scene, activeClone, collisionMarkers, { ignore: [basePlateMesh] });
 
                 // Restore selected original's appearance now that clone is active
                 if (originalSelectedMaterial) {
@@ -277,6 +289,7 @@ function onKeyDown(event) {
         if (moved) {
             // Ensure Y position remains correct after movement
             snapToGrid(activeClone.position);
+            checkScenePlacement(scene, activeClone, collisionMarkers, { ignore: [basePlateMesh] });
             event.preventDefault(); // Prevent browser scrolling
             console.log("Moved clone to:", activeClone.position);
         }
@@ -294,6 +307,7 @@ function onKeyDown(event) {
                 activeClone.geometry.dispose();
              }
              scene.remove(activeClone);
+             clearPlacementMarkers(collisionMarkers);
 
              // Restore selected original's material if it was highlighted
              if (selectedOriginal && originalSelectedMaterial) {
@@ -333,16 +347,7 @@ function animate() {
 }
 
 // --- Brick Logic --- (getBrickDefinition, getBrickColorHex, isTopHole - unchanged)
-const BRICK_DEFINITIONS = {
-    "base": { Size: new THREE.Vector3(4 * STUD_SIZE, PLATE_HEIGHT, 4 * STUD_SIZE), HoleOffsets: function(holeId) { const col = holeId % 4; const row = Math.floor(holeId / 4); const xOffset = (col - 1.5) * STUD_SIZE; const zOffset = (row - 1.5) * STUD_SIZE; const yOffset = PLATE_HEIGHT / 2; return new THREE.Vector3(xOffset, yOffset, zOffset); }, IsBase: true },
-    "3x1": { Size: new THREE.Vector3(3 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE), HoleOffsets: function(holeId) { const yOffset = (holeId <= 2) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); let xOffset = 0; if (holeId === 0 || holeId === 3) xOffset = -1 * STUD_SIZE; if (holeId === 2 || holeId === 5) xOffset = 1 * STUD_SIZE; const zOffset = 0; return new THREE.Vector3(xOffset, yOffset, zOffset); }, TopHoleIds: [0, 1, 2], BottomHoleIds: [3, 4, 5] },
-    "2x1": { Size: new THREE.Vector3(2 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE), HoleOffsets: function(holeId) { const yOffset = (holeId <= 1) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); const xOffset = (holeId === 0 || holeId === 2) ? (-0.5 * STUD_SIZE) : (0.5 * STUD_SIZE); const zOffset = 0; return new THREE.Vector3(xOffset, yOffset, zOffset); }, TopHoleIds: [0, 1], BottomHoleIds: [2, 3] },
-    "1x1": { Size: new THREE.Vector3(1 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE), HoleOffsets: function(holeId) { const yOffset = (holeId === 0) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); const xOffset = 0; const zOffset = 0; return new THREE.Vector3(xOffset, yOffset, zOffset); }, TopHoleIds: [0], BottomHoleIds: [1] }
-};
-const COLOR_MAP = { "white": 0xffffff, "yellow": 0xffff00, "blue": 0x0000ff, "orange": 0xffa500, "pink": 0xffc0cb, "purple": 0x800080, "green": 0x00ff00, "default": 0x888888 };
-function getBrickDefinition(brickType) { return BRICK_DEFINITIONS[brickType]; }
-function getBrickColorHex(colorName) { return COLOR_MAP[colorName?.toLowerCase()] || COLOR_MAP["default"]; }
-function isTopHole(brickDef, holeId) { if (!brickDef) return false; if (brickDef.IsBase) return true; if (!brickDef.TopHoleIds) return false; return brickDef.TopHoleIds.includes(holeId); }
+// Brick types are generated from brickCatalog.json (see brickDefinitions.js)
 
 // --- Build Logic --- (clearStructure, buildStructure - largely unchanged, uses structureData array)
 function clearStructure() {
@@ -385,6 +390,7 @@ function clearStructure() {
          scene.remove(activeClone);
          activeClone = null;
      }
+     clearPlacementMarkers(collisionMarkers);
      selectedOriginal = null;
      originalSelectedMaterial = null;
      originalCloneMaterial = null;
@@ -396,59 +402,11 @@ function buildStructure(structureData) {
     const decodedData = structureData;
     if (!Array.isArray(decodedData)) { console.error("Structure data passed to buildStructure is not an array:", decodedData); updateStructureInfo("Invalid Structure Data: Not an array"); return; }
 
-    const bricksById = {};
-    decodedData.forEach(brickData => { if (brickData && typeof brickData.id !== 'undefined') { bricksById[String(brickData.id)] = brickData; } else { console.warn("Found brick data without an ID:", brickData); } });
-    const threeMeshes = {}; const processedBrickIds = {}; const queue = [];
-    const baseData = bricksById["1"];
-    if (!baseData || baseData.type !== "base") { console.error("Could not find base brick (ID '1', type 'base')."); updateStructureInfo("Missing Base Brick"); return; }
-    const baseDef = getBrickDefinition(baseData.type);
-    if (!baseDef) { console.error("Invalid brick type for base:", baseData.type); updateStructureInfo("Invalid Base Type"); return; }
-
-    const baseGeometry = new THREE.BoxGeometry(baseDef.Size.x, baseDef.Size.y, baseDef.Size.z);
-    const baseMaterial = new THREE.MeshStandardMaterial({ color: getBrickColorHex(baseData.colour), roughness: 0.8, metalness: 0.1 });
-    basePlateMesh = new THREE.Mesh(baseGeometry, baseMaterial);
-    basePlateMesh.position.set(0, GRID_Y_POSITION, 0);
-    scene.add(basePlateMesh);
-    threeMeshes[baseData.id] = basePlateMesh; processedBrickIds[baseData.id] = true; queue.push(baseData.id);
-
-    while (queue.length > 0) {
-        const currentBrickId = queue.shift(); const currentBrickData = bricksById[currentBrickId]; const currentMesh = threeMeshes[currentBrickId];
-        if (!currentBrickData || !currentMesh) { continue; }
-        const currentBrickDef = getBrickDefinition(currentBrickData.type);
-        if (!currentBrickDef || !Array.isArray(currentBrickData.holes)) { continue; }
-
-        currentBrickData.holes.forEach(holeData => {
-            if (!holeData || typeof holeData.brick === 'undefined' || typeof holeData.id === 'undefined') { return; }
-            const connectedBrickIdStr = String(holeData.brick);
-            if (connectedBrickIdStr !== "-1" && isTopHole(currentBrickDef, holeData.id)) {
-                if (!processedBrickIds[connectedBrickIdStr]) {
-                    const connectedBrickData = bricksById[connectedBrickIdStr];
-                    if (connectedBrickData) {
-                        const connectedBrickDef = getBrickDefinition(connectedBrickData.type);
-                        if (connectedBrickDef) {
-                            if (typeof holeData.connectedToHole === 'undefined') { return; }
-                            const bottomHoleLocalOffset = currentBrickDef.HoleOffsets(holeData.id);
-                            const topHoleLocalOffset = connectedBrickDef.HoleOffsets(holeData.connectedToHole);
-                            if (!(bottomHoleLocalOffset instanceof THREE.Vector3) || !(topHoleLocalOffset instanceof THREE.Vector3)) { console.error(`Invalid hole offset calc`); return; }
-                            const bottomHoleWorldPos = currentMesh.localToWorld(bottomHoleLocalOffset.clone());
-                            const parentQuaternion = new THREE.Quaternion(); currentMesh.getWorldQuaternion(parentQuaternion);
-                            const relativeRotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -THREE.MathUtils.degToRad(holeData.orientation || 0));
-                            const worldRotation = parentQuaternion.multiply(relativeRotation);
-                            const centerOffset = topHoleLocalOffset.clone().applyQuaternion(worldRotation);
-                            const newBrickPosition = bottomHoleWorldPos.clone().sub(centerOffset);
-                            const newGeometry = new THREE.BoxGeometry(connectedBrickDef.Size.x, connectedBrickDef.Size.y, connectedBrickDef.Size.z);
-                            // IMPORTANT: Use unique materials for build to avoid highlight issues
-                            const newMaterial = new THREE.MeshStandardMaterial({ color: getBrickColorHex(connectedBrickData.colour), roughness: 0.8, metalness: 0.1 });
-                            const newMesh = new THREE.Mesh(newGeometry, newMaterial);
-                            newMesh.position.copy(newBrickPosition); newMesh.quaternion.copy(worldRotation);
-                            structureGroup.add(newMesh);
-                            threeMeshes[connectedBrickIdStr] = newMesh; processedBrickIds[connectedBrickIdStr] = true; queue.push(connectedBrickIdStr);
-                        } else { console.warn("Invalid type def for connected brick:", connectedBrickData.type, "ID:", connectedBrickIdStr); }
-                    } else { console.warn("Data not found for connected ID:", connectedBrickIdStr); processedBrickIds[connectedBrickIdStr] = true; }
-                }
-            }
-        });
-    }
+    const { baseMesh, brickMeshes, error } = buildStructureMeshes(decodedData, { baseY: GRID_Y_POSITION });
+    if (error) { console.error("Structure could not be placed:", error); updateStructureInfo(error); return; }
+    basePlateMesh = baseMesh;
+    scene.add(basePlateMesh); // The base goes straight into the scene
+    brickMeshes.forEach(mesh => structureGroup.add(mesh)); // Loaded bricks go into the structure group
     console.log("Structure building complete. Parts in loaded structure:", structureGroup.children.length);
 }
 
@@ -2,11 +2,12 @@
 import * as THREE from 'three';
 // Import OrbitControls for camera manipulation (pan, zoom, rotate)
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+// Shared brick constants and the catalog-generated brick definitions
+import { STUD_SIZE, PLATE_HEIGHT } from './brickDefinitions.js';
+// Builds the brick meshes (shapes and finishes included) where the solver places them
+import { buildStructureMeshes } from './structureBuilder.js';
 
 // --- Configuration & Constants ---
-const STUD_SIZE = 2;
-const PLATE_HEIGHT = 2.4;
-const BASE_COLOR = 0xffffff;
 const GRID_Y_POSITION = 0; // Y-level of the grid plane for placement
 const MOVEMENT_INCREMENT = STUD_SIZE; // How much to move per arrow key press
 const DEBUG_LOGGING = true; // <<<<<<<<< CONTROL LOGGING HERE
@@ -341,51 +342,7 @@ function snapToGridGroup(position) { position.x = Math.round(position.x / STUD_S
 function animate() { requestAnimationFrame(animate); controls.update(); renderer.render(scene, camera); }
 
 // --- Brick Logic ---
-// CORRECTED HoleOffsets for 2x1 based on description
-const BRICK_DEFINITIONS = {
-    "base": {
-        Size: new THREE.Vector3(4 * STUD_SIZE, PLATE_HEIGHT, 4 * STUD_SIZE),
-        HoleOffsets: function(holeId) {
-            const col = holeId % 4; const row = Math.floor(holeId / 4);
-            const xOffset = (col - 1.5) * STUD_SIZE; const zOffset = (row - 1.5) * STUD_SIZE;
-            const yOffset = PLATE_HEIGHT / 2; return new THREE.Vector3(xOffset, yOffset, zOffset);
-        }, IsBase: true
-    },
-    "3x1": {
-        Size: new THREE.Vector3(3 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE),
-        HoleOffsets: function(holeId) {
-            const yOffset = (holeId <= 2) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); // Top 0,1,2; Bottom 3,4,5
-            let xOffset = 0;
-            if (holeId === 0 || holeId === 3) xOffset = -1 * STUD_SIZE; // Left hole
-            if (holeId === 2 || holeId === 5) xOffset = 1 * STUD_SIZE;  // Right hole
-            const zOffset = 0;
-            return new THREE.Vector3(xOffset, yOffset, zOffset);
-        }, TopHoleIds: [0, 1, 2], BottomHoleIds: [3, 4, 5]
-    },
-    "2x1": {
-        Size: new THREE.Vector3(2 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE),
-        HoleOffsets: function(holeId) {
-            const yOffset = (holeId <= 1) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); // Top 0,1; Bottom 2,3
-            let xOffset = 0;
-            if (holeId === 0 || holeId === 2) xOffset = -0.5 * STUD_SIZE; // Hole 0 (top left), Hole 2 (bottom left)
-            if (holeId === 1 || holeId === 3) xOffset = 0.5 * STUD_SIZE;  // Hole 1 (top right), Hole 3 (bottom right)
-            const zOffset = 0;
-            return new THREE.Vector3(xOffset, yOffset, zOffset);
-        }, TopHoleIds: [0, 1], BottomHoleIds: [2, 3]
-    },
-    "1x1": {
-        Size: new THREE.Vector3(1 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE),
-        HoleOffsets: function(holeId) {
-            const yOffset = (holeId === 0) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); // Top 0; Bottom 1
-            const xOffset = 0; const zOffset = 0;
-            return new THREE.Vector3(xOffset, yOffset, zOffset);
-        }, TopHoleIds: [0], BottomHoleIds: [1]
-    }
-};
-const COLOR_MAP = { "white":0xffffff,"yellow":0xffff00,"blue":0x0000ff,"orange":0xffa500,"pink":0xffc0cb,"purple":0x800080,"green":0x00ff00,"default":0x888888};
-function getBrickDefinition(brickType){return BRICK_DEFINITIONS[brickType];}
-function getBrickColorHex(colorName){return COLOR_MAP[colorName?.toLowerCase()]||COLOR_MAP["default"];}
-function isTopHole(brickDef,holeId){if(!brickDef)return false;if(brickDef.IsBase)return true;if(!brickDef.TopHoleIds)return false;return brickDef.TopHoleIds.includes(holeId);}
+// Brick types are generated from brickCatalog.json (see brickDefinitions.js)
 
 // --- Build Logic ---
 /** Clears scene objects and resets state. */
@@ -453,61 +410,12 @@ function buildStructure(structureData) {
     const decodedData = structureData;
     if (!Array.isArray(decodedData)) { console.error("Structure data not array:", decodedData); updateStructureInfo("Invalid Data Format"); return; }
 
-    const bricksById = {}; decodedData.forEach(d => { if (d?.id !== undefined) bricksById[String(d.id)] = d; });
-    const threeMeshes = {}; const processedBrickIds = {}; const queue = [];
-    const baseData = bricksById["1"];
-    if (!baseData || baseData.type !== "base") { console.error("Base brick missing/invalid."); updateStructureInfo("Missing Base"); return; }
-    const baseDef = getBrickDefinition(baseData.type);
-    if (!baseDef) { console.error("Invalid base type def:", baseData.type); updateStructureInfo("Invalid Base Type"); return; }
-
-    // Build Base Plate
-    const baseGeometry = new THREE.BoxGeometry(baseDef.Size.x, baseDef.Size.y, baseDef.Size.z);
-    const baseMaterial = new THREE.MeshStandardMaterial({ color: getBrickColorHex(baseData.colour), roughness: 0.8, metalness: 0.1 });
-    basePlateMesh = new THREE.Mesh(baseGeometry, baseMaterial);
-    basePlateMesh.position.set(0, GRID_Y_POSITION, 0);
-    scene.add(basePlateMesh);
-    threeMeshes[baseData.id] = basePlateMesh; processedBrickIds[baseData.id] = true; queue.push(baseData.id);
-    logDebug("Base plate created.");
-
-    // --- Build Loop ---
-    logDebug("Starting build loop...");
-    while (queue.length > 0) {
-        const currentBrickId = queue.shift(); const currentBrickData = bricksById[currentBrickId]; const currentMesh = threeMeshes[currentBrickId];
-        if (!currentBrickData || !currentMesh) continue;
-        const currentBrickDef = getBrickDefinition(currentBrickData.type);
-        if (!currentBrickDef || !Array.isArray(currentBrickData.holes)) continue;
-        currentBrickData.holes.forEach(holeData => {
-            if (!holeData || holeData.brick === undefined || holeData.id === undefined) return;
-            const connectedBrickIdStr = String(holeData.brick);
-            if (connectedBrickIdStr !== "-1" && isTopHole(currentBrickDef, holeData.id)) {
-                if (!processedBrickIds[connectedBrickIdStr]) {
-                    const connectedBrickData = bricksById[connectedBrickIdStr];
-                    if (connectedBrickData) {
-                        const connectedBrickDef = getBrickDefinition(connectedBrickData.type);
-                        if (connectedBrickDef) {
-                            if (holeData.connectedToHole === undefined) return;
-                            const bottomHoleLocalOffset = currentBrickDef.HoleOffsets(holeData.id);
-                            const topHoleLocalOffset = connectedBrickDef.HoleOffsets(holeData.connectedToHole);
-                            if (!(bottomHoleLocalOffset instanceof THREE.Vector3) || !(topHoleLocalOffset instanceof THREE.Vector3)) return;
-                            const bottomHoleWorldPos = currentMesh.localToWorld(bottomHoleLocalOffset.clone());
-                            const parentQuaternion = new THREE.Quaternion(); currentMesh.getWorldQuaternion(parentQuaternion);
-                            const relativeRotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -THREE.MathUtils.degToRad(holeData.orientation || 0));
-                            const worldRotation = parentQuaternion.multiply(relativeRotation);
-                            const centerOffset = topHoleLocalOffset.clone().applyQuaternion(worldRotation);
-                            const newBrickPosition = bottomHoleWorldPos.clone().sub(centerOffset);
-                            const newGeometry = new THREE.BoxGeometry(connectedBrickDef.Size.x, connectedBrickDef.Size.y, connectedBrickDef.Size.z);
-                            const newMaterial = new THREE.MeshStandardMaterial({ name:`Mat_${connectedBrickData.id}`, color: getBrickColorHex(connectedBrickData.colour), roughness: 0.8, metalness: 0.1 });
-                            const newMesh = new THREE.Mesh(newGeometry, newMaterial);
-                            newMesh.name = `Brick_${connectedBrickData.id}`; // Give mesh a name
-                            newMesh.position.copy(newBrickPosition); newMesh.quaternion.copy(worldRotation);
-                            structureGroup.add(newMesh); // Add to the main structure group
-                            threeMeshes[connectedBrickIdStr] = newMesh; processedBrickIds[connectedBrickIdStr] = true; queue.push(connectedBrickIdStr);
-                        } else { console.warn("Invalid type def:", connectedBrickData.type); }
-                    } else { console.warn("Data not found for ID:", connectedBrickIdStr); processedBrickIds[connectedBrickIdStr] = true; }
-                }
-            }
-        });
-    }
+    const { baseMesh, brickMeshes, error } = buildStructureMeshes(decodedData, { baseY: GRID_Y_POSITION });
+    if (error) { console.error("Structure could not be placed:", error); updateStructureInfo(error); return; }
+    basePlateMesh = baseMesh;
+    scene.add(basePlateMesh); // The base goes straight into the scene
+    brickMeshes.forEach(mesh => structureGroup.add(mesh)); // Loaded bricks go into the structure group
+    logDebug("Base plate and bricks created.");
     logDebug("Build loop finished. Original parts in structureGroup:", structureGroup.children.length);
     logDebug("--- buildStructure() Finished ---");
 }
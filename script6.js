@@ -2,11 +2,43 @@
 import * as THREE from 'three';
 // Import OrbitControls for camera manipulation (pan, zoom, rotate)
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+// Shared brick constants and definitions, and the DOM-free placement logic
+import { STUD_SIZE, BRICK_DEFINITIONS } from './brickDefinitions.js';
+import { buildStructureMeshes, updateStructureMeshes } from './structureBuilder.js';
+// Standalone structures.json validator (hole reciprocity, ranges, orientations, base count)
+import { validateStructure, formatIssue } from './structureValidator.js';
+// Turns the bricks on screen back into the structures.json format
+import { serializeScene, stringifyStructures } from './structureSerializer.js';
+// Binary glTF export for Blender and other tools
+import { createExportScene, downloadGlb } from './gltfExport.js';
+// Watertight STL export for 3D printing
+import { downloadStl } from './stlExport.js';
+// LDraw (.ldr/.mpd) conversion for LDView/LeoCAD
+import { exportLdr, exportMpd, importLdraw, ldrawFileName } from './ldraw.js';
+// Roblox XML model (.rbxmx) export for Studio
+import { createRbxmx } from './robloxExport.js';
+// Browser downloads for the saved structure and the text exports
+import { downloadFile } from './download.js';
+// Structure loading from URLs, files, drag-and-drop and pasted text
+import { fetchStructures, readStructuresFile, parseStructuresText, mergeStructures } from './structureLoader.js';
+// Live structure streaming from a smart brick hub
+import { connectToHub } from './hubClient.js';
+// Instanced studs and anti-studs on unused holes
+import { createStudMeshes } from './studMeshes.js';
+// Palette lookups for the colour legend
+import { summariseColours, hexToCss } from './brickColours.js';
+// Overlap checks for loaded and user-placed bricks
+import { meshToBrick, createOverlapMarkers, checkScenePlacement, clearPlacementMarkers } from './brickCollisions.js';
+// Centre of mass, support and overhang estimates with heat shading
+import { analyseStability, createHeatOverlay } from './stabilityAnalysis.js';
+// Numbered building steps in build order
+import { createBuildSteps } from './buildInstructions.js';
+// Bricks dropping into place in build order
+import { playAssembly } from './assemblyPlayback.js';
+// Bill of materials with part pictures and downloads
+import { showPartsPanel } from './partsPanel.js';
 
 // --- Configuration & Constants ---
-const STUD_SIZE = 2;
-const PLATE_HEIGHT = 2.4;
-const BASE_COLOR = 0xffffff;
 const GRID_Y_POSITION = 0;
 const MOVEMENT_INCREMENT = STUD_SIZE;
 const DEBUG_LOGGING = true; // <<<<<<<<< CONTROL LOGGING HERE
@@ -17,10 +49,27 @@ let basePlateMesh = null;
 let structureGroup = new THREE.Group(); // Holds ONLY the ORIGINAL loaded structure bricks
 const container = document.getElementById('container');
 const userPlacedGroups = []; // Array to keep track of user-placed structure CLONE groups
+const conflictMarkers = new THREE.Group(); // Red markers on links that contradict the computed placement and on overlapping bricks
+const placementMarkers = new THREE.Group(); // Red boxes where the clone group being moved runs into other bricks
+const studGroup = new THREE.Group(); // Instanced studs/anti-studs of the loaded structure (kept out of structureGroup)
+const trayGroup = new THREE.Group(); // Mat and labels for the floating components set down next to the base
+const TRAY_MARGIN = STUD_SIZE; // How far the tray mat reaches past the components on it
+const heatGroup = new THREE.Group(); // Heat shading over the loaded bricks that carry an overhang
+const stepHighlightGroup = new THREE.Group(); // Outlines of the bricks the current instruction step adds
+const STEP_HIGHLIGHT_COLOR = 0xffff00;
+const clock = new THREE.Clock(); // Frame times for the assembly playback
+let hubConnection = null; // Handle from connectToHub while streaming from a brick hub
+let liveStructureName = null; // jsonData name of the structure the hub keeps updated
 
 // --- Data Variables ---
 let jsonData = [];
 let currentJsonIndex = 0;
+let placementIssues = []; // Bricks the last build or update could not place (shown with the validation report)
+let stabilityReport = null; // analyseStability result for the displayed structure
+let instructionSteps = null; // createBuildSteps steps while instructions mode is on, null when it's off
+let currentStep = 1; // Number of the instruction step on screen
+let instructionsIndex = null; // Index in jsonData of the structure currentStep belongs to
+let assemblyPlayback = null; // playAssembly handle of the last playback (finished or not)
 
 // --- Interactivity Variables ---
 const raycaster = new THREE.Raycaster();
@@ -81,28 +130,59 @@ async function init() {
     // Add the main structure group to the scene
     scene.add(structureGroup);
     structureGroup.name = "OriginalStructureGroup";
+    conflictMarkers.name = "LinkConflictMarkers";
+    scene.add(conflictMarkers);
+    placementMarkers.name = "PlacementMarkers";
+    scene.add(placementMarkers);
+    studGroup.name = "StudGroup";
+    scene.add(studGroup);
+    trayGroup.name = "TrayGroup";
+    scene.add(trayGroup);
+    heatGroup.name = "HeatGroup";
+    scene.add(heatGroup);
+    stepHighlightGroup.name = "StepHighlightGroup";
+    scene.add(stepHighlightGroup);
 
     // --- Event Listeners ---
     logDebug("Adding event listeners...");
     window.addEventListener('resize', onWindowResize);
     document.getElementById('cycleBtn').addEventListener('click', cycleStructure);
+    document.getElementById('saveBtn').addEventListener('click', saveStructure);
+    document.getElementById('exportGlbBtn').addEventListener('click', exportStructureGlb);
+    document.getElementById('exportStlBtn').addEventListener('click', exportStructureStl);
+    document.getElementById('exportLdrBtn').addEventListener('click', exportStructureLdr);
+    document.getElementById('exportMpdBtn').addEventListener('click', exportAllStructuresMpd);
+    document.getElementById('importLdrawInput').addEventListener('change', onImportLdraw);
+    document.getElementById('exportRobloxBtn').addEventListener('click', exportStructureRoblox);
+    document.getElementById('loadFileInput').addEventListener('change', onLoadFile);
+    document.getElementById('loadPastedBtn').addEventListener('click', onLoadPasted);
+    container.addEventListener('dragover', (event) => event.preventDefault()); // Required for the drop event to fire
+    container.addEventListener('drop', onDropFile);
+    document.getElementById('hubBtn').addEventListener('click', toggleHubConnection);
+    // Both work from where the bricks are, so they finish a playback first
+    document.getElementById('antiStudsToggle').addEventListener('change', () => { skipPlayback(); refreshStuds(jsonData[currentJsonIndex]?.data ?? []); });
+    document.getElementById('stabilityToggle').addEventListener('change', () => { skipPlayback(); refreshStability(jsonData[currentJsonIndex]?.data ?? []); });
+    document.getElementById('playbackSpeed').addEventListener('change', event => assemblyPlayback?.setSpeed(Number(event.target.value)));
+    document.getElementById('pausePlaybackBtn').addEventListener('click', togglePlaybackPause);
+    document.getElementById('skipPlaybackBtn').addEventListener('click', skipPlayback);
+    document.getElementById('instructionsBtn').addEventListener('click', toggleInstructions);
+    document.getElementById('prevStepBtn').addEventListener('click', () => showStep(currentStep - 1));
+    document.getElementById('nextStepBtn').addEventListener('click', () => showStep(currentStep + 1));
+    document.getElementById('stepScrubber').addEventListener('input', event => showStep(Number(event.target.value)));
     renderer.domElement.addEventListener('click', onSelectClick);
     window.addEventListener('keydown', onKeyDown);
     logDebug("Event listeners added.");
 
     // --- Load Structure Data ---
-    try {
-        logDebug("Fetching structures.json...");
-        const response = await fetch('structures.json');
-        logDebug("Fetch response status:", response.status);
-        if (!response.ok) { throw new Error(response.status === 404 ? 'File not found (404)' : `HTTP error! status: ${response.status}`); }
-        jsonData = await response.json();
-        logDebug("Successfully loaded and parsed structures.json:", jsonData.length, "structures found.");
-        if (jsonData && Array.isArray(jsonData) && jsonData.length > 0) {
-            buildStructure(jsonData[currentJsonIndex].data);
-            updateStructureInfo();
-        } else { console.warn("No structures found..."); updateStructureInfo("No structures found."); document.getElementById('cycleBtn').disabled = true; }
-    } catch (error) { console.error("Failed to load structures:", error); updateStructureInfo(`FATAL: ${error.message}`); document.getElementById('cycleBtn').disabled = true; return; }
+    // A ?src= URL parameter overrides the bundled structures.json; failures are shown but not fatal,
+    // so other structures can still be dropped, chosen or pasted in.
+    const sourceUrl = new URLSearchParams(window.location.search).get('src') || 'structures.json';
+    logDebug("Fetching", sourceUrl);
+    applyLoadResult(await fetchStructures(sourceUrl), 'replace');
+
+    // A ?hub= URL parameter connects to a brick hub straight away
+    const hubUrl = new URLSearchParams(window.location.search).get('hub');
+    if (hubUrl) { document.getElementById('hubUrl').value = hubUrl; toggleHubConnection(); }
 
     animate();
     logDebug("init() finished");
@@ -144,7 +224,7 @@ function onSelectClick(event) {
     logDebug("Mouse coords (NDC):", mouse.x.toFixed(2), mouse.y.toFixed(2));
     raycaster.setFromCamera(mouse, camera);
     logDebug("Raycasting against structureGroup children (count:", structureGroup.children.length + ")");
-    const intersects = raycaster.intersectObjects(structureGroup.children, false);
+    const intersects = raycaster.intersectObjects(structureGroup.children.filter(child => child.visible), false); // Not bricks of later instruction steps
     logDebug("Intersection results:", intersects.length, intersects[0] ? `Hit: ${intersects[0].object.uuid} (name: ${intersects[0].object.name})` : 'No hit');
     logDebug("Calling clearHighlight() before processing click...");
     clearHighlight();
@@ -167,21 +247,32 @@ function onSelectClick(event) {
      logDebug("--- onSelectClick() Finished --- Selected:", selectedStructureGroup ? selectedStructureGroup.name : 'None');
 }
 function onKeyDown(event) {
+    if (event.target.closest?.('input, textarea, select')) return; // Typing in the UI, not editing the scene
     logDebug(`--- onKeyDown(): key='${event.key}' ---`);
     if (event.key.toLowerCase() === 'c') {
         logDebug(`'C' pressed. State: isMovingCloneGroup=${isMovingCloneGroup}, selectedStructureGroup=${selectedStructureGroup ? selectedStructureGroup.name : 'null'}`);
         if (isMovingCloneGroup) {
             logDebug("Attempting to PLACE clone group...");
             if (activeCloneGroup) {
+                const blockingIds = checkScenePlacement(scene, activeCloneGroup, placementMarkers);
+                if (blockingIds.length > 0) {
+                    console.warn(`Placement refused: the clone group overlaps brick(s) ${blockingIds.join(', ')} (marked in red).`);
+                    updateStructureInfo(`Can't place here: overlaps brick(s) ${blockingIds.join(', ')}`);
+                    return;
+                }
+                clearPlacementMarkers(placementMarkers);
+                updateStructureInfo();
                 logDebug("Active clone group found. Placing at:", activeCloneGroup.position);
                 isMovingCloneGroup = false; controls.enabled = true;
                 let restoredCount = 0;
                 activeCloneGroup.children.forEach(child => {
-                    if (child.isMesh && child.material.transparent) { child.material.transparent = false; child.material.opacity = 1.0; restoredCount++; }
+                    // Back to the brick's own look (transparent finishes stay see-through)
+                    if (child.isMesh && child.material.userData.placedLook) { Object.assign(child.material, child.material.userData.placedLook); delete child.material.userData.placedLook; restoredCount++; }
                 });
                 logDebug(`Restored appearance for ${restoredCount} meshes in clone.`);
                 userPlacedGroups.push(activeCloneGroup);
                 logDebug("Added placed group to userPlacedGroups. Count:", userPlacedGroups.length);
+                refreshPartsList(jsonData[currentJsonIndex]?.data ?? []); // The copy needs parts too
                 activeCloneGroup = null;
                 logDebug("Placement complete. isMovingCloneGroup=false, activeCloneGroup=null.");
             } else { console.warn("State inconsistency: isMovingCloneGroup=true, but no activeCloneGroup found!"); isMovingCloneGroup = false; controls.enabled = true; }
@@ -189,6 +280,7 @@ function onKeyDown(event) {
             logDebug("Attempting to CREATE clone group...");
             if (selectedStructureGroup) {
                 logDebug("Original structure IS selected. Proceeding with cloning.");
+                skipPlayback(); // Clone the bricks where they end up, not mid-drop
                 isMovingCloneGroup = true; controls.enabled = false;
                 logDebug("Set isMovingCloneGroup=true, controls.enabled=false");
                 logDebug("Clearing highlight from original before cloning...");
@@ -199,17 +291,20 @@ function onKeyDown(event) {
                 structureGroup.children.forEach((originalChild) => {
                      if (originalChild.isMesh) {
                          const clonedChild = originalChild.clone(false);
+                         clonedChild.visible = true; // Instructions mode may have hidden later steps
                          clonedChild.material = originalChild.material.clone();
+                         clonedChild.material.userData.placedLook = { transparent: clonedChild.material.transparent, opacity: clonedChild.material.opacity };
                          clonedChild.material.transparent = true; clonedChild.material.opacity = 0.6;
                          activeCloneGroup.add(clonedChild); childrenCloned++;
                      }
                  });
                  logDebug(`Finished cloning children. ${childrenCloned} meshes cloned into new group.`);
-                const initialPos = new THREE.Vector3(0, GRID_Y_POSITION + PLATE_HEIGHT / 2, 0);
+                const initialPos = new THREE.Vector3(0, GRID_Y_POSITION, 0);
                 snapToGridGroup(initialPos); activeCloneGroup.position.copy(initialPos);
                 logDebug("Set initial clone group position:", initialPos);
                 scene.add(activeCloneGroup);
                 logDebug("Added activeCloneGroup to scene:", activeCloneGroup.name);
+                checkScenePlacement(scene, activeCloneGroup, placementMarkers);
             } else { logDebug("'C' pressed to clone, but selectedStructureGroup is NULL."); }
         }
     }
@@ -222,7 +317,7 @@ function onKeyDown(event) {
             case 'ArrowLeft': activeCloneGroup.position.x -= MOVEMENT_INCREMENT; moved = true; break;
             case 'ArrowRight': activeCloneGroup.position.x += MOVEMENT_INCREMENT; moved = true; break;
         }
-        if (moved) { snapToGridGroup(activeCloneGroup.position); logDebug("Moved clone group to:", activeCloneGroup.position); event.preventDefault(); }
+        if (moved) { snapToGridGroup(activeCloneGroup.position); checkScenePlacement(scene, activeCloneGroup, placementMarkers); logDebug("Moved clone group to:", activeCloneGroup.position); event.preventDefault(); }
     }
     else if (event.key === 'Escape') {
         logDebug("Escape key pressed.");
@@ -231,6 +326,7 @@ function onKeyDown(event) {
             scene.remove(activeCloneGroup);
             activeCloneGroup.traverse(child => { if (child.isMesh) { if (child.geometry) child.geometry.dispose(); if (child.material && typeof child.material.dispose === 'function') child.material.dispose(); } });
              activeCloneGroup = null; isMovingCloneGroup = false; controls.enabled = true;
+             clearPlacementMarkers(placementMarkers); updateStructureInfo();
              logDebug("Placement cancelled. isMovingCloneGroup=false, activeCloneGroup=null.");
         } else if (selectedStructureGroup) {
             logDebug("Clearing current selection via Escape...");
@@ -239,15 +335,12 @@ function onKeyDown(event) {
     }
      logDebug("--- onKeyDown() Finished ---");
 }
-function snapToGridGroup(position) { position.x = Math.round(position.x / STUD_SIZE) * STUD_SIZE; position.z = Math.round(position.z / STUD_SIZE) * STUD_SIZE; position.y = GRID_Y_POSITION + PLATE_HEIGHT / 2; }
-function animate() { requestAnimationFrame(animate); controls.update(); renderer.render(scene, camera); }
 
-// --- Brick Logic --- (Unchanged)
-const BRICK_DEFINITIONS = { "base": { Size: new THREE.Vector3(4 * STUD_SIZE, PLATE_HEIGHT, 4 * STUD_SIZE), HoleOffsets: function(holeId) { const col = holeId % 4; const row = Math.floor(holeId / 4); const xOffset = (col - 1.5) * STUD_SIZE; const zOffset = (row - 1.5) * STUD_SIZE; const yOffset = PLATE_HEIGHT / 2; return new THREE.Vector3(xOffset, yOffset, zOffset); }, IsBase: true }, "3x1": { Size: new THREE.Vector3(3 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE), HoleOffsets: function(holeId) { const yOffset = (holeId <= 2) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); let xOffset = 0; if (holeId === 0 || holeId === 3) xOffset = -1 * STUD_SIZE; if (holeId === 2 || holeId === 5) xOffset = 1 * STUD_SIZE; const zOffset = 0; return new THREE.Vector3(xOffset, yOffset, zOffset); }, TopHoleIds: [0, 1, 2], BottomHoleIds: [3, 4, 5] }, "2x1": { Size: new THREE.Vector3(2 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE), HoleOffsets: function(holeId) { const yOffset = (holeId <= 1) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); let xOffset = 0; if (holeId === 0 || holeId === 2) xOffset = -0.5 * STUD_SIZE; if (holeId === 1 || holeId === 3) xOffset = 0.5 * STUD_SIZE; const zOffset = 0; return new THREE.Vector3(xOffset, yOffset, zOffset); }, TopHoleIds: [0, 1], BottomHoleIds: [2, 3] }, "1x1": { Size: new THREE.Vector3(1 * STUD_SIZE, PLATE_HEIGHT, 1 * STUD_SIZE), HoleOffsets: function(holeId) { const yOffset = (holeId === 0) ? (PLATE_HEIGHT / 2) : (-PLATE_HEIGHT / 2); const xOffset = 0; const zOffset = 0; return new THREE.Vector3(xOffset, yOffset, zOffset); }, TopHoleIds: [0], BottomHoleIds: [1] }};
-const COLOR_MAP = { "white":0xffffff,"yellow":0xffff00,"blue":0x0000ff,"orange":0xffa500,"pink":0xffc0cb,"purple":0x800080,"green":0x00ff00,"default":0x888888};
-function getBrickDefinition(brickType){return BRICK_DEFINITIONS[brickType];}
-function getBrickColorHex(colorName){return COLOR_MAP[colorName?.toLowerCase()]||COLOR_MAP["default"];}
-function isTopHole(brickDef,holeId){if(!brickDef)return false;if(brickDef.IsBase)return true;if(!brickDef.TopHoleIds)return false;return brickDef.TopHoleIds.includes(holeId);}
+// Clones keep the original's height (its group sits at the grid plane), so bricks over the base stay on its studs and save linked
+function snapToGridGroup(position) { position.x = Math.round(position.x / STUD_SIZE) * STUD_SIZE; position.z = Math.round(position.z / STUD_SIZE) * STUD_SIZE; position.y = GRID_Y_POSITION; }
+function animate() { requestAnimationFrame(animate); assemblyPlayback?.update(clock.getDelta()); controls.update(); renderer.render(scene, camera); }
+
+// --- Brick Logic --- (Shared definitions live in brickDefinitions.js)
 
 
 // --- Build Logic ---
@@ -260,6 +353,7 @@ function clearStructure() {
     logDebug("--- clearStructure() ---");
     // Clear highlight/selection state FIRST
     clearHighlight(); // Ensures materials restored, selection cleared
+    skipPlayback(); // Nothing left to drop
 
     // --- Remove ONLY the original structure group children ---
     logDebug("Clearing original structureGroup children (Count:", structureGroup.children.length + ")");
@@ -286,6 +380,12 @@ function clearStructure() {
         basePlateMesh = null;
     }
 
+    refreshStuds([]); // No bricks left, so no studs
+    showColourLegend([]);
+    showTray([]);
+    refreshStability([]);
+    refreshInstructions([]);
+
     // --- DO NOT REMOVE userPlacedGroups ---
     logDebug("Skipping removal of user placed groups (Count:", userPlacedGroups.length + ")");
     // userPlacedGroups.forEach(group => { scene.remove(group); /* ... disposal ... */ }); // REMOVED THIS BLOCK
@@ -299,6 +399,7 @@ function clearStructure() {
         activeCloneGroup.traverse(child => { /* dispose resources */ if(child.isMesh){ if(child.geometry)child.geometry.dispose(); if(child.material && typeof child.material.dispose === 'function')child.material.dispose();} });
         activeCloneGroup = null;
     }
+    clearPlacementMarkers(placementMarkers);
     isMovingCloneGroup = false;
     controls.enabled = true; // Ensure controls are enabled
     logDebug("Interaction state reset.");
@@ -323,69 +424,388 @@ function buildStructure(structureData) {
     }
 
 
-    const decodedData = structureData;
-    if (!Array.isArray(decodedData)) { console.error("Structure data not array:", decodedData); updateStructureInfo("Invalid Data Format"); return; }
-
-    const bricksById = {}; decodedData.forEach(d => { if (d?.id !== undefined) bricksById[String(d.id)] = d; });
-    const threeMeshes = {}; const processedBrickIds = {}; const queue = [];
-    const baseData = bricksById["1"];
-    if (!baseData || baseData.type !== "base") { console.error("Base brick missing/invalid."); updateStructureInfo("Missing Base"); return; }
-    const baseDef = getBrickDefinition(baseData.type);
-    if (!baseDef) { console.error("Invalid base type def:", baseData.type); updateStructureInfo("Invalid Base Type"); return; }
+    const { baseMesh, brickMeshes, components, issues, error } = buildStructureMeshes(structureData, { baseY: GRID_Y_POSITION });
+    placementIssues = issues;
+    showLinkConflicts(issues);
+    showTray(components);
+    if (error) { updateStructureInfo(error); return; }
 
-    // Build Base Plate
-    const baseGeometry = new THREE.BoxGeometry(baseDef.Size.x, baseDef.Size.y, baseDef.Size.z);
-    const baseMaterial = new THREE.MeshStandardMaterial({ color: getBrickColorHex(baseData.colour), roughness: 0.8, metalness: 0.1 });
-    basePlateMesh = new THREE.Mesh(baseGeometry, baseMaterial);
-    basePlateMesh.position.set(0, GRID_Y_POSITION, 0);
+    basePlateMesh = baseMesh;
     scene.add(basePlateMesh);
-    threeMeshes[baseData.id] = basePlateMesh; processedBrickIds[baseData.id] = true; queue.push(baseData.id);
     logDebug("Base plate created.");
-
-    // --- Build Loop (Populates structureGroup) ---
-    logDebug("Starting build loop...");
-    while (queue.length > 0) {
-        const currentBrickId = queue.shift(); const currentBrickData = bricksById[currentBrickId]; const currentMesh = threeMeshes[currentBrickId];
-        if (!currentBrickData || !currentMesh) continue;
-        const currentBrickDef = getBrickDefinition(currentBrickData.type);
-        if (!currentBrickDef || !Array.isArray(currentBrickData.holes)) continue;
-        currentBrickData.holes.forEach(holeData => {
-            if (!holeData || holeData.brick === undefined || holeData.id === undefined) return;
-            const connectedBrickIdStr = String(holeData.brick);
-            if (connectedBrickIdStr !== "-1" && isTopHole(currentBrickDef, holeData.id)) {
-                if (!processedBrickIds[connectedBrickIdStr]) {
-                    const connectedBrickData = bricksById[connectedBrickIdStr];
-                    if (connectedBrickData) {
-                        const connectedBrickDef = getBrickDefinition(connectedBrickData.type);
-                        if (connectedBrickDef) {
-                            if (holeData.connectedToHole === undefined) return;
-                            const bottomHoleLocalOffset = currentBrickDef.HoleOffsets(holeData.id);
-                            const topHoleLocalOffset = connectedBrickDef.HoleOffsets(holeData.connectedToHole);
-                            if (!(bottomHoleLocalOffset instanceof THREE.Vector3) || !(topHoleLocalOffset instanceof THREE.Vector3)) return;
-                            const bottomHoleWorldPos = currentMesh.localToWorld(bottomHoleLocalOffset.clone());
-                            const parentQuaternion = new THREE.Quaternion(); currentMesh.getWorldQuaternion(parentQuaternion);
-                            const relativeRotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -THREE.MathUtils.degToRad(holeData.orientation || 0));
-                            const worldRotation = parentQuaternion.multiply(relativeRotation);
-                            const centerOffset = topHoleLocalOffset.clone().applyQuaternion(worldRotation);
-                            const newBrickPosition = bottomHoleWorldPos.clone().sub(centerOffset);
-                            const newGeometry = new THREE.BoxGeometry(connectedBrickDef.Size.x, connectedBrickDef.Size.y, connectedBrickDef.Size.z);
-                            const newMaterial = new THREE.MeshStandardMaterial({ name:`Mat_${connectedBrickData.id}`, color: getBrickColorHex(connectedBrickData.colour), roughness: 0.8, metalness: 0.1 });
-                            const newMesh = new THREE.Mesh(newGeometry, newMaterial);
-                            newMesh.name = `Brick_${connectedBrickData.id}`;
-                            newMesh.position.copy(newBrickPosition); newMesh.quaternion.copy(worldRotation);
-                            structureGroup.add(newMesh); // <<< Add to the main structure group
-                            threeMeshes[connectedBrickIdStr] = newMesh; processedBrickIds[connectedBrickIdStr] = true; queue.push(connectedBrickIdStr);
-                        } else { console.warn("Invalid type def:", connectedBrickData.type); }
-                    } else { console.warn("Data not found for ID:", connectedBrickIdStr); processedBrickIds[connectedBrickIdStr] = true; }
-                }
-            }
-        });
-    }
+    brickMeshes.forEach(mesh => structureGroup.add(mesh)); // <<< Add to the main structure group
     logDebug("Build loop finished. Original parts in structureGroup:", structureGroup.children.length);
+    refreshStuds(structureData);
+    showColourLegend(structureData);
+    refreshStability(structureData);
+    refreshInstructions(structureData);
+    refreshPartsList(structureData);
+    // Instructions mode shows the bricks step by step instead
+    if (document.getElementById('animateToggle')?.checked && !instructionSteps) startPlayback(brickMeshes);
     logDebug("--- buildStructure() Finished ---");
 }
 
 
+/**
+ * Collects the base and the loaded structure's brick meshes by brick id.
+ * @returns {object} Map of brick id to mesh.
+ */
+function getDisplayedMeshesById() {
+    const meshesById = {};
+    if (basePlateMesh) meshesById[basePlateMesh.userData.id] = basePlateMesh;
+    structureGroup.children.forEach(child => { if (child.isMesh) meshesById[child.userData.id] = child; });
+    return meshesById;
+}
+
+/**
+ * Updates the displayed structure to new data in place, changing only the bricks that differ.
+ * Unlike clearStructure + buildStructure this keeps the selection, its highlight, an in-progress
+ * clone move and the user-placed groups.
+ * @param {Array} structureData - The new brick array for the structure on screen.
+ */
+function updateStructure(structureData) {
+    logDebug("--- updateStructure() ---");
+    skipPlayback(); // The update moves bricks to their new places, which a playback would overwrite
+    const meshesById = getDisplayedMeshesById();
+
+    const { added, removed, recoloured, moved, components, issues, error } = updateStructureMeshes(meshesById, structureData, {
+        baseY: GRID_Y_POSITION,
+        materialOf: mesh => originalMaterialsMap.get(mesh.uuid) ?? mesh.material // Recolour the original, not the highlight
+    });
+    if (error) { updateStructureInfo(error); return; }
+    placementIssues = issues;
+    showLinkConflicts(issues);
+    showTray(components);
+
+    removed.forEach(mesh => {
+        const material = originalMaterialsMap.get(mesh.uuid) ?? mesh.material;
+        originalMaterialsMap.delete(mesh.uuid);
+        if (mesh === basePlateMesh) { scene.remove(mesh); basePlateMesh = null; } else structureGroup.remove(mesh);
+        if (mesh.geometry) mesh.geometry.dispose();
+        if (material && material !== highlightMaterial) material.dispose();
+    });
+    added.forEach(mesh => {
+        if (mesh.userData.type === "base") { basePlateMesh = mesh; scene.add(mesh); return; }
+        structureGroup.add(mesh);
+        // New bricks join an active selection
+        if (selectedStructureGroup === structureGroup) { originalMaterialsMap.set(mesh.uuid, mesh.material); mesh.material = highlightMaterial; }
+    });
+    refreshStuds(structureData); // Links and poses may have changed, so rebuild rather than patch
+    showColourLegend(structureData);
+    refreshStability(structureData);
+    refreshInstructions(structureData);
+    refreshPartsList(structureData);
+    logDebug(`Structure updated: ${added.length} added, ${removed.length} removed, ${recoloured.length} recoloured, ${moved.length} moved.`);
+    logDebug("--- updateStructure() Finished ---");
+}
+
+/**
+ * Replaces the stud meshes with new ones for the displayed bricks: a stud on every unused top hole and,
+ * if the Anti-studs box is ticked, a ring under every unused bottom hole.
+ * @param {Array} structureData - The displayed structure's brick array (which holes are linked).
+ */
+function refreshStuds(structureData) {
+    studGroup.children.forEach(child => { child.geometry.dispose(); child.material.dispose(); });
+    studGroup.clear();
+    const meshesById = getDisplayedMeshesById();
+    if (Object.keys(meshesById).length === 0) return;
+
+    const { studs, antiStuds } = createStudMeshes(meshesById, structureData, { antiStuds: document.getElementById('antiStudsToggle')?.checked });
+    studs.forEach(mesh => studGroup.add(mesh));
+    if (antiStuds) studGroup.add(antiStuds);
+    logDebug(`Studs: ${studs.reduce((total, mesh) => total + mesh.count, 0)}, anti-studs: ${antiStuds ? antiStuds.count : 'off'}`);
+}
+
+/**
+ * Analyses the balance of the displayed bricks, shows the verdict in #stabilityInfo and, if the Stability box
+ * is ticked, shades every brick that carries an overhang on a heat scale (yellow to red at the studs' limit).
+ * @param {Array} structureData - The displayed structure's brick array (which holes are linked).
+ */
+function refreshStability(structureData) {
+    heatGroup.children.forEach(child => { child.geometry.dispose(); child.material.dispose(); });
+    heatGroup.clear();
+    const infoSpan = document.getElementById('stabilityInfo');
+    const bricks = Object.values(getDisplayedMeshesById()).map(meshToBrick).filter(Boolean);
+    if (bricks.length === 0) {
+        stabilityReport = null;
+        if (infoSpan) infoSpan.textContent = '';
+        return;
+    }
+
+    stabilityReport = analyseStability(bricks, structureData);
+    if (infoSpan) {
+        infoSpan.textContent = `Stability: ${stabilityReport.verdict}. ${stabilityReport.message}`;
+        infoSpan.className = stabilityReport.verdict;
+    }
+    if (document.getElementById('stabilityToggle')?.checked) heatGroup.add(createHeatOverlay(bricks, stabilityReport));
+    logDebug(`Stability: ${stabilityReport.verdict}, centre of mass ${stabilityReport.centreOfMass?.toArray().map(value => value.toFixed(2)).join(', ')}, highest load ${Math.round(stabilityReport.maxLoadRatio * 100)}%`);
+}
+
+/**
+ * Lists the parts of the displayed structure and of every loaded structure in #partsPanel. The placed
+ * copies count towards the displayed structure, since they need bricks of their own.
+ * @param {Array} structureData - The displayed structure's brick array.
+ */
+function refreshPartsList(structureData) {
+    const placedBricks = userPlacedGroups.flatMap(group => group.children.filter(child => child.isMesh).map(child => child.userData));
+    showPartsPanel(document.getElementById('partsPanel'), {
+        name: jsonData[currentJsonIndex]?.name || `Structure ${currentJsonIndex + 1}`,
+        bricks: [...structureData, ...placedBricks],
+        structures: jsonData
+    });
+}
+
+// --- Assembly Playback ---
+
+/**
+ * Drops the loaded bricks into place one by one, in build order, at the speed picked in #playbackSpeed.
+ * The studs, tray and heat shading are hidden until the last brick has landed.
+ * @param {THREE.Mesh[]} meshes - The brick meshes in build order, in their final place.
+ */
+function startPlayback(meshes) {
+    skipPlayback();
+    [studGroup, trayGroup, heatGroup].forEach(group => { group.visible = false; });
+    clock.getDelta(); // Don't count the time spent building as playback
+    assemblyPlayback = playAssembly(meshes, {
+        speed: Number(document.getElementById('playbackSpeed')?.value ?? 1),
+        onFinish: () => {
+            [studGroup, trayGroup, heatGroup].forEach(group => { group.visible = !instructionSteps; });
+            updatePlaybackControls();
+            logDebug("Playback finished.");
+        }
+    });
+    updatePlaybackControls();
+    logDebug(`Playback started: ${meshes.length} brick(s).`);
+}
+
+/**
+ * Puts every brick of a running playback in place at once. Anything that reads brick positions (saving, the
+ * exports, cloning) calls this first, so it gets where the bricks end up rather than where they are mid-drop.
+ */
+function skipPlayback() {
+    assemblyPlayback?.skip();
+}
+
+/** Pauses a running playback, or resumes a paused one. */
+function togglePlaybackPause() {
+    if (!assemblyPlayback || assemblyPlayback.isFinished()) return;
+    if (assemblyPlayback.isPaused()) assemblyPlayback.resume(); else assemblyPlayback.pause();
+    updatePlaybackControls();
+}
+
+/** Enables the pause and skip buttons while a playback runs. */
+function updatePlaybackControls() {
+    const running = assemblyPlayback !== null && !assemblyPlayback.isFinished();
+    const pauseBtn = document.getElementById('pausePlaybackBtn');
+    if (pauseBtn) { pauseBtn.disabled = !running; pauseBtn.textContent = running && assemblyPlayback.isPaused() ? 'Resume' : 'Pause'; }
+    const skipBtn = document.getElementById('skipPlaybackBtn');
+    if (skipBtn) skipBtn.disabled = !running;
+}
+
+// --- Building Instructions ---
+
+/** Turns instructions mode on (at step 1) or off. */
+function toggleInstructions() {
+    if (instructionSteps) {
+        instructionSteps = null;
+        refreshInstructions([]);
+        logDebug("Instructions mode off.");
+        return;
+    }
+    skipPlayback();
+    instructionSteps = [];
+    currentStep = 1;
+    refreshInstructions(jsonData[currentJsonIndex]?.data ?? []);
+    logDebug(`Instructions mode on: ${instructionSteps.length} step(s).`);
+}
+
+/**
+ * Works out the building steps for the displayed structure again and shows the current one, or shows every
+ * brick if instructions mode is off. Keeps the step number (as far as the new steps go), so live updates
+ * don't send the builder back to step 1; another structure starts again from step 1.
+ * @param {Array} structureData - The displayed structure's brick array.
+ */
+function refreshInstructions(structureData) {
+    if (instructionsIndex !== currentJsonIndex) {
+        instructionsIndex = currentJsonIndex;
+        currentStep = 1;
+    }
+    if (instructionSteps) {
+        const { steps, looseBrickIds, error } = createBuildSteps(structureData, { baseY: GRID_Y_POSITION });
+        if (error) logDebug(`No instructions: ${error}`);
+        if (looseBrickIds.length > 0) logDebug(`Not in the instructions (not attached to the base): ${looseBrickIds.join(', ')}`);
+        instructionSteps = steps;
+    }
+    showStep(currentStep);
+}
+
+/**
+ * Shows an instruction step: the bricks of that step and the ones before it, with the new ones outlined,
+ * and the parts the step needs in #stepCallout. The studs, tray and heat shading belong to the finished
+ * structure, so they are hidden meanwhile. Without instructions mode every brick is shown.
+ * @param {number} number - The step number (clamped to the steps there are).
+ */
+function showStep(number) {
+    stepHighlightGroup.children.forEach(child => { child.geometry.dispose(); child.material.dispose(); });
+    stepHighlightGroup.clear();
+    const active = instructionSteps !== null;
+    const steps = instructionSteps ?? [];
+    currentStep = THREE.MathUtils.clamp(number, 1, Math.max(steps.length, 1));
+    [studGroup, trayGroup, heatGroup].forEach(group => { group.visible = !active; });
+
+    const shownIds = new Set(steps.slice(0, currentStep).flatMap(step => step.brickIds));
+    const newIds = new Set(steps[currentStep - 1]?.brickIds ?? []);
+    structureGroup.children.forEach(mesh => {
+        mesh.visible = !active || shownIds.has(mesh.userData.id);
+        if (!active || !newIds.has(mesh.userData.id)) return;
+        const outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(mesh.geometry),
+            new THREE.LineBasicMaterial({ color: STEP_HIGHLIGHT_COLOR, depthTest: false })
+        );
+        mesh.matrixWorld.decompose(outline.position, outline.quaternion, outline.scale);
+        outline.renderOrder = 999; // Draw after the bricks
+        stepHighlightGroup.add(outline);
+    });
+
+    const scrubber = document.getElementById('stepScrubber');
+    if (scrubber) { scrubber.max = Math.max(steps.length, 1); scrubber.value = currentStep; scrubber.disabled = !active || steps.length < 2; }
+    const prevBtn = document.getElementById('prevStepBtn');
+    if (prevBtn) prevBtn.disabled = !active || currentStep <= 1;
+    const nextBtn = document.getElementById('nextStepBtn');
+    if (nextBtn) nextBtn.disabled = !active || currentStep >= steps.length;
+    const instructionsBtn = document.getElementById('instructionsBtn');
+    if (instructionsBtn) instructionsBtn.textContent = active ? 'Exit Instructions' : 'Instructions';
+    const stepInfo = document.getElementById('stepInfo');
+    if (stepInfo) stepInfo.textContent = active ? (steps.length > 0 ? `Step ${currentStep} of ${steps.length}` : 'Nothing to build') : '';
+    showStepCallout(active ? steps[currentStep - 1] : null);
+}
+
+/**
+ * Lists the parts an instruction step needs in #stepCallout, with a colour swatch each.
+ * @param {object | null} step - The step (from createBuildSteps), or null to hide the callout.
+ */
+function showStepCallout(step) {
+    const callout = document.getElementById('stepCallout');
+    if (!callout) return;
+    callout.innerHTML = '';
+    callout.hidden = !step;
+    if (!step) return;
+
+    const title = document.createElement('div');
+    title.className = 'calloutTitle';
+    title.textContent = `Step ${step.number}`;
+    callout.appendChild(title);
+    const list = document.createElement('ul');
+    step.parts.forEach(({ type, name, hex, finish, count, brickIds }) => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = `swatch ${finish}`;
+        swatch.style.backgroundColor = hexToCss(hex);
+        item.append(`${count}× `, swatch, `${type} ${name}`);
+        item.title = `Bricks ${brickIds.join(', ')}`;
+        list.appendChild(item);
+    });
+    callout.appendChild(list);
+}
+
+/**
+ * Draws the tray the floating components are set down in (see solveAssembly): a mat under them and a
+ * label over each, so bricks that aren't attached to the base are still shown and can be told apart.
+ * Replaces the previous tray.
+ * @param {Array<object>} components - Components from the builder; the attached one is skipped.
+ */
+function showTray(components) {
+    trayGroup.children.forEach(child => {
+        if (!child.isSprite) child.geometry.dispose(); // Sprites share one geometry
+        child.material.map?.dispose();
+        child.material.dispose();
+    });
+    trayGroup.clear();
+    const loose = components.filter(component => !component.attached);
+    if (loose.length === 0) return;
+
+    const area = new THREE.Box3();
+    loose.forEach(component => area.union(component.bounds));
+    const size = area.getSize(new THREE.Vector3());
+    const centre = area.getCenter(new THREE.Vector3());
+    const mat = new THREE.Mesh(
+        new THREE.PlaneGeometry(size.x + TRAY_MARGIN * 2, size.z + TRAY_MARGIN * 2),
+        new THREE.MeshBasicMaterial({ color: 0x223344, transparent: true, opacity: 0.5, side: THREE.DoubleSide })
+    );
+    mat.rotation.x = -Math.PI / 2;
+    mat.position.set(centre.x, area.min.y + 0.01, centre.z); // Just above the floor so it doesn't flicker
+    mat.name = "TrayMat";
+    trayGroup.add(mat);
+
+    loose.forEach(component => {
+        const label = createTextSprite(`${component.label} (${component.brickIds.length} brick${component.brickIds.length === 1 ? '' : 's'})`);
+        const top = component.bounds.getCenter(new THREE.Vector3()).setY(component.bounds.max.y + STUD_SIZE);
+        label.position.copy(top);
+        label.name = `TrayLabel_${component.index}`;
+        trayGroup.add(label);
+    });
+    logDebug(`Tray: ${loose.length} floating component(s).`);
+}
+
+/**
+ * Creates a sprite showing a line of text, one stud high, drawn over the bricks.
+ * @param {string} text - The text.
+ * @returns {THREE.Sprite} The sprite; dispose its material and texture when done.
+ */
+function createTextSprite(text) {
+    const fontSize = 48;
+    const padding = 12;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = `bold ${fontSize}px sans-serif`;
+    canvas.width = Math.ceil(context.measureText(text).width) + padding * 2;
+    canvas.height = fontSize + padding * 2;
+    context.font = `bold ${fontSize}px sans-serif`; // Resizing the canvas resets it
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#ffffff';
+    context.textBaseline = 'middle';
+    context.fillText(text, padding, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+    sprite.scale.set(STUD_SIZE * canvas.width / canvas.height, STUD_SIZE, 1);
+    sprite.renderOrder = 999; // Draw after the bricks
+    return sprite;
+}
+
+/**
+ * Lists the colours the displayed structure uses in the colour legend: a swatch, the name, the finish
+ * (when not solid) and how many bricks use it. Colours the palette doesn't know are flagged, since
+ * those bricks are drawn in the default grey.
+ * @param {Array} structureData - The displayed structure's brick array.
+ */
+function showColourLegend(structureData) {
+    const legend = document.getElementById('colourLegend');
+    if (!legend) return;
+    legend.innerHTML = '';
+    const colours = summariseColours(structureData);
+    legend.hidden = colours.length === 0;
+    if (colours.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'legendTitle';
+    title.textContent = 'Colours';
+    legend.appendChild(title);
+    const list = document.createElement('ul');
+    colours.forEach(({ colour, name, hex, finish, known, count, brickIds }) => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = `swatch ${finish}`;
+        swatch.style.backgroundColor = hexToCss(hex);
+        const label = known ? name : `${colour || '(none)'} - unknown, drawn grey`;
+        item.append(swatch, `${label}${finish !== 'solid' ? ` (${finish})` : ''} ×${count}`);
+        item.title = `Bricks ${brickIds.join(', ')}`;
+        if (!known) item.className = 'unknown';
+        list.appendChild(item);
+    });
+    legend.appendChild(list);
+}
+
 // --- Structure Cycling & Info Update ---
 function cycleStructure() {
     logDebug("--- cycleStructure() ---");
@@ -398,9 +818,333 @@ function cycleStructure() {
     // Build the new structure
     buildStructure(jsonData[currentJsonIndex].data);
     updateStructureInfo();
+    runValidation(jsonData[currentJsonIndex].data);
     logDebug("--- cycleStructure() Finished ---");
 }
 function updateStructureInfo(errorMsg = null) { const infoSpan=document.getElementById('structureInfo');if(!infoSpan)return; if(errorMsg){infoSpan.textContent=`Error: ${errorMsg}`;infoSpan.style.color='red';}else if(jsonData&&Array.isArray(jsonData)&&jsonData.length>0&&jsonData[currentJsonIndex]){const n=jsonData[currentJsonIndex].name||`Structure ${currentJsonIndex+1}`;infoSpan.textContent=`Displaying: ${n} (${currentJsonIndex+1}/${jsonData.length})`;infoSpan.style.color='white';}else{infoSpan.textContent="Loading...";infoSpan.style.color='yellow';}}
 
+// --- Saving & Export ---
+
+/**
+ * Serializes the base, the loaded structure and every user-placed clone group into the
+ * structures.json format and downloads it as a file that can replace structures.json.
+ */
+function saveStructure() {
+    logDebug("--- saveStructure() ---");
+    if (!basePlateMesh) { updateStructureInfo("Nothing to save"); return; }
+    skipPlayback();
+    const meshes = [];
+    [structureGroup, ...userPlacedGroups].forEach(group => group.children.forEach(child => { if (child.isMesh) meshes.push(child); }));
+    const currentName = jsonData[currentJsonIndex]?.name || `Structure ${currentJsonIndex + 1}`;
+    const { structure, warnings } = serializeScene({
+        name: userPlacedGroups.length > 0 ? `${currentName} (edited)` : currentName,
+        baseMesh: basePlateMesh,
+        meshes,
+        brickDefinitions: BRICK_DEFINITIONS,
+        studSize: STUD_SIZE
+    });
+    warnings.forEach(warning => console.warn(warning));
+    logDebug(`Serialized ${structure.data.length} bricks with ${warnings.length} warning(s).`);
+
+    downloadFile(stringifyStructures([structure]), `${structure.name.replace(/[^\w-]+/g, '_')}.json`, 'application/json');
+    // The file won't rebuild the scene exactly (e.g. bricks that load in the tray), so say so where it's seen
+    if (warnings.length > 0) updateStructureInfo(`Saved with ${warnings.length} warning(s): ${warnings[0]}${warnings.length > 1 ? ' (more in the console)' : ''}`);
+    logDebug("--- saveStructure() Finished ---");
+}
+
+/**
+ * Exports the base, the loaded structure and every user-placed group as a GLB download.
+ * Highlighted bricks are exported with their original materials.
+ */
+async function exportStructureGlb() {
+    logDebug("--- exportStructureGlb() ---");
+    if (!basePlateMesh) { updateStructureInfo("Nothing to export"); return; }
+    skipPlayback();
+    const name = jsonData[currentJsonIndex]?.name || `Structure ${currentJsonIndex + 1}`;
+    const exportScene = createExportScene({
+        name,
+        baseMesh: basePlateMesh,
+        groups: [structureGroup, ...userPlacedGroups],
+        materialOverrides: originalMaterialsMap
+    });
+    try {
+        await downloadGlb(exportScene, name);
+        logDebug("GLB export finished.");
+    } catch (error) {
+        console.error("GLB export failed:", error);
+        updateStructureInfo(`GLB export failed (${error.message})`);
+    }
+}
+
+/**
+ * Exports the base, the loaded structure and every user-placed group as one merged STL solid.
+ * The format (binary/ASCII) and stud bumps are taken from the controls next to the button.
+ */
+function exportStructureStl() {
+    logDebug("--- exportStructureStl() ---");
+    if (!basePlateMesh) { updateStructureInfo("Nothing to export"); return; }
+    skipPlayback();
+    const meshes = [basePlateMesh];
+    [structureGroup, ...userPlacedGroups].forEach(group => group.children.forEach(child => { if (child.isMesh) meshes.push(child); }));
+    const name = jsonData[currentJsonIndex]?.name || `Structure ${currentJsonIndex + 1}`;
+    const { triangleCount, skippedStuds } = downloadStl(meshes, BRICK_DEFINITIONS, name, {
+        binary: document.getElementById('stlFormat').value === 'binary',
+        includeStuds: document.getElementById('stlStuds').checked
+    });
+    if (skippedStuds > 0) {
+        console.warn(`${skippedStuds} stud(s) did not fit their grid cell and were left flat.`);
+        updateStructureInfo(`STL exported with ${skippedStuds} stud(s) left flat (they didn't fit their grid cell)`);
+    }
+    logDebug(`STL export finished: ${triangleCount} triangles.`);
+}
+
+/** Exports the base, the loaded structure and every user-placed group as a Roblox .rbxmx model. */
+function exportStructureRoblox() {
+    if (!basePlateMesh) { updateStructureInfo("Nothing to export"); return; }
+    skipPlayback();
+    const name = jsonData[currentJsonIndex]?.name || `Structure ${currentJsonIndex + 1}`;
+    const xml = createRbxmx({ name, baseMesh: basePlateMesh, groups: [structureGroup, ...userPlacedGroups] });
+    downloadFile(xml, `${name.replace(/[^\w-]+/g, '_')}.rbxmx`, 'application/xml');
+    logDebug("Roblox export finished.");
+}
+
+// --- LDraw ---
+
+/** Exports the current structure (as loaded, without user-placed clones) as an .ldr file. */
+function exportStructureLdr() {
+    const structure = jsonData[currentJsonIndex];
+    if (!structure) { updateStructureInfo("Nothing to export"); return; }
+    const { text, error } = exportLdr(structure);
+    if (error) { updateStructureInfo(`LDraw export failed (${error})`); return; }
+    downloadFile(text, ldrawFileName(structure.name || `Structure ${currentJsonIndex + 1}`));
+    logDebug("LDraw export finished.");
+}
+
+/** Exports every loaded structure into one .mpd file. */
+function exportAllStructuresMpd() {
+    if (!jsonData.length) { updateStructureInfo("Nothing to export"); return; }
+    const { text, errors } = exportMpd(jsonData);
+    errors.forEach(error => console.warn("Left out of MPD export:", error));
+    downloadFile(text, 'structures.mpd');
+    logDebug(`MPD export finished. ${errors.length} structure(s) left out.`);
+}
+
+/**
+ * Imports the chosen .ldr/.mpd file, appends its models to jsonData and shows the first one.
+ * @param {Event} event - The file input's change event.
+ */
+async function onImportLdraw(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    logDebug("--- onImportLdraw() ---", file.name);
+    applyLoadResult(importLdraw(await file.text(), file.name.replace(/\.(ldr|mpd)$/i, '')), 'merge');
+    logDebug("--- onImportLdraw() Finished ---");
+}
+
+// --- Loading ---
+
+/**
+ * Puts loaded structures into jsonData (replacing or merging, see mergeStructures) and shows the first new one.
+ * Errors go to the console and the info line; when nothing could be loaded the current view is left as it is.
+ * @param {{structures: Array, errors: string[], warnings: string[]}} result - The loader's result.
+ * @param {'replace' | 'merge'} mode - How to combine with the loaded structures.
+ */
+function applyLoadResult({ structures, errors, warnings }, mode) {
+    warnings.forEach(warning => console.warn(warning));
+    errors.forEach(error => console.error(error));
+    if (structures.length === 0) {
+        updateStructureInfo(errors[0] || "No structures found.");
+        document.getElementById('cycleBtn').disabled = jsonData.length === 0;
+        return;
+    }
+
+    const displayedName = basePlateMesh ? jsonData[currentJsonIndex]?.name : undefined;
+    const merged = mergeStructures(jsonData, structures, mode);
+    jsonData = merged.structures;
+    currentJsonIndex = merged.firstIndex;
+    logDebug(`Loaded ${structures.length} structure(s) (${mode}). ${jsonData.length} available.`);
+    document.getElementById('cycleBtn').disabled = false;
+    // Reloading the structure on screen (e.g. an edited copy) updates it in place
+    if (mode === 'merge' && jsonData[currentJsonIndex].name === displayedName) {
+        updateStructure(jsonData[currentJsonIndex].data);
+    } else {
+        clearStructure();
+        buildStructure(jsonData[currentJsonIndex].data);
+    }
+    updateStructureInfo(errors.length > 0 ? `Loaded ${structures.length} structure(s); ${errors.length} problem(s), see console` : null);
+    runValidation(jsonData[currentJsonIndex].data);
+}
+
+/** Returns the replace/merge mode chosen in the UI. */
+function getLoadMode() {
+    return document.getElementById('loadMode').value === 'merge' ? 'merge' : 'replace';
+}
+
+/**
+ * Loads the structures file picked in the file chooser.
+ * @param {Event} event - The file input's change event.
+ */
+async function onLoadFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow loading the same file again
+    if (!file) return;
+    applyLoadResult(await readStructuresFile(file), getLoadMode());
+}
+
+/**
+ * Loads a structures file dropped onto the scene.
+ * @param {DragEvent} event - The drop event.
+ */
+async function onDropFile(event) {
+    event.preventDefault();
+    const file = event.dataTransfer?.files[0];
+    if (!file) return;
+    logDebug("File dropped:", file.name);
+    applyLoadResult(await readStructuresFile(file), getLoadMode());
+}
+
+/** Loads the JSON text pasted into the paste box. */
+function onLoadPasted() {
+    const pasteInput = document.getElementById('pasteInput');
+    if (!pasteInput.value.trim()) { updateStructureInfo("Paste structure JSON first"); return; }
+    applyLoadResult(parseStructuresText(pasteInput.value, "Pasted JSON"), getLoadMode());
+}
+
+// --- Live Hub ---
+
+/** Connects to the brick hub in the URL field, or disconnects if already connected. */
+function toggleHubConnection() {
+    const hubBtn = document.getElementById('hubBtn');
+    if (hubConnection) {
+        hubConnection.close();
+        hubConnection = null;
+        hubBtn.textContent = 'Connect Hub';
+        return;
+    }
+    const url = document.getElementById('hubUrl').value.trim();
+    if (!url) { updateStructureInfo("Enter a hub URL (ws://...)"); return; }
+    liveStructureName = null;
+    hubBtn.textContent = 'Disconnect Hub';
+    hubConnection = connectToHub(url, {
+        brickDefinitions: BRICK_DEFINITIONS,
+        studSize: STUD_SIZE,
+        onStructure: onLiveStructure,
+        onStatus: (state, message) => {
+            logDebug(`Hub ${state}: ${message}`);
+            const hubStatus = document.getElementById('hubStatus');
+            hubStatus.textContent = message;
+            hubStatus.className = state;
+        }
+    });
+}
+
+/**
+ * Stores the hub's latest structure in jsonData and rebuilds it if it is on screen.
+ * The first update after connecting switches the view to the live structure.
+ * @param {{name: string, data: Array}} structure - The live structure.
+ */
+function onLiveStructure(structure) {
+    const isFirstUpdate = liveStructureName === null;
+    const wasShowing = !isFirstUpdate && jsonData[currentJsonIndex]?.name === liveStructureName;
+    // Drop the old entry if the hub renamed the structure (e.g. a new snapshot)
+    if (!isFirstUpdate && liveStructureName !== structure.name) {
+        const oldIndex = jsonData.findIndex(entry => entry.name === liveStructureName);
+        if (oldIndex !== -1) {
+            jsonData.splice(oldIndex, 1);
+            if (currentJsonIndex > oldIndex) currentJsonIndex--;
+        }
+    }
+    liveStructureName = structure.name;
+
+    const merged = mergeStructures(jsonData, [structure], 'merge');
+    jsonData = merged.structures;
+    document.getElementById('cycleBtn').disabled = false;
+    if (!isFirstUpdate && !wasShowing) { updateStructureInfo(); refreshPartsList(jsonData[currentJsonIndex]?.data ?? []); return; }
+
+    currentJsonIndex = merged.firstIndex;
+    // Later updates only touch the bricks that changed, so selections and placed copies survive
+    if (wasShowing && basePlateMesh) {
+        updateStructure(structure.data);
+    } else {
+        clearStructure();
+        buildStructure(structure.data);
+    }
+    updateStructureInfo();
+    runValidation(structure.data);
+}
+
+// --- Validation Report ---
+
+/**
+ * Validates the given structure data, logs every issue and lists them in #validationReport,
+ * together with any bricks the last build could not place and any overhangs the stability analysis flagged.
+ * Counts link conflicts and overlaps in #validationSummary, leaving the structure's name in #structureInfo.
+ * @param {Array} structureData - The brick data array of the current structure.
+ * @returns {object} The report returned by validateStructure.
+ */
+function runValidation(structureData) {
+    const report = validateStructure(structureData, BRICK_DEFINITIONS, { studSize: STUD_SIZE });
+    const otherIssues = [...placementIssues, ...(stabilityReport?.issues ?? [])];
+    const errors = [...report.errors, ...otherIssues.filter(issue => issue.severity === 'error')];
+    const warnings = [...report.warnings, ...otherIssues.filter(issue => issue.severity === 'warning')];
+    errors.forEach(issue => console.error(formatIssue(issue)));
+    warnings.forEach(issue => console.warn(formatIssue(issue)));
+    logDebug(`Validation finished: ${errors.length} error(s), ${warnings.length} warning(s).`);
+    const conflictCount = placementIssues.filter(issue => issue.code === 'LINK_CONFLICT').length;
+    const overlapCount = placementIssues.filter(issue => issue.code === 'BRICK_OVERLAP').length;
+    const summarySpan = document.getElementById('validationSummary');
+    if (summarySpan) {
+        if (conflictCount > 0) summarySpan.textContent = `${conflictCount} link(s) contradict the placement (marked in red)`;
+        else if (overlapCount > 0) summarySpan.textContent = `${overlapCount} pair(s) of bricks overlap (marked in red)`;
+        else summarySpan.textContent = '';
+    }
+
+    const reportList = document.getElementById('validationReport');
+    if (!reportList) return report;
+    reportList.innerHTML = '';
+    [...errors, ...warnings].forEach(issue => {
+        const item = document.createElement('li');
+        item.textContent = formatIssue(issue);
+        item.className = issue.severity;
+        reportList.appendChild(item);
+    });
+    return report;
+}
+
+/**
+ * Marks every LINK_CONFLICT with a red dot on each of its two holes and a line between them,
+ * drawn over the bricks so they can't hide it, and the space shared by every BRICK_OVERLAP pair with red boxes.
+ * Replaces the previous markers.
+ * @param {Array<object>} issues - Placement issues from the builder.
+ */
+function showLinkConflicts(issues) {
+    conflictMarkers.children.forEach(marker => { marker.geometry.dispose(); marker.material.dispose(); });
+    conflictMarkers.clear();
+    issues.filter(issue => issue.code === 'LINK_CONFLICT').forEach(issue => {
+        const [from, to] = issue.holePositions.map(position => new THREE.Vector3().fromArray(position));
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([from, to]),
+            new THREE.LineBasicMaterial({ color: 0xff0000, depthTest: false })
+        );
+        line.renderOrder = 999; // Draw after the bricks
+        conflictMarkers.add(line);
+        [from, to].forEach(position => {
+            const dot = new THREE.Mesh(new THREE.SphereGeometry(STUD_SIZE * 0.2), new THREE.MeshBasicMaterial({ color: 0xff0000, depthTest: false }));
+            dot.position.copy(position);
+            dot.renderOrder = 999;
+            dot.name = `Conflict_${issue.brickId}_${issue.holeId}`;
+            conflictMarkers.add(dot);
+        });
+    });
+    const linkMarkerCount = conflictMarkers.children.length;
+    if (linkMarkerCount > 0) logDebug(`Marked ${linkMarkerCount / 3} conflicting link(s).`);
+    const overlaps = issues.filter(issue => issue.code === 'BRICK_OVERLAP');
+    if (overlaps.length > 0) {
+        conflictMarkers.add(createOverlapMarkers(overlaps.flatMap(issue => issue.voxels)));
+        logDebug(`Marked ${overlaps.length} overlapping brick pair(s).`);
+    }
+}
+
 // --- Start Application ---
 init();
\ No newline at end of file
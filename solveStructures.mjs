@@ -0,0 +1,98 @@
+// --- Headless Assembly Check ---
+// Validates and solves every structure in a structures.json file without a browser, for CI: prints each
+// structure's problems and exits with status 1 if any structure has errors. Also prints each structure's
+// stability verdict, which is only an estimate and doesn't affect the exit status. Optionally writes the
+// solved poses, so a change to the placement maths shows up as a diff; with --check it reads them instead and
+// also fails if any structure now solves differently (structures.expected.json holds them for structures.json).
+// Requires the `three` package to be resolvable (e.g. `npm install three@0.160.0` next to this file).
+//
+// Usage: node solveStructures.mjs [structures.json] [poses.json] [--check]
+import { readFile, writeFile } from 'node:fs/promises';
+import { BRICK_DEFINITIONS, STUD_SIZE } from './brickDefinitions.js';
+import { parseStructuresText } from './structureLoader.js';
+import { validateStructure, formatIssue } from './structureValidator.js';
+import { solveAssembly, posesToJSON } from './assemblySolver.js';
+import { analyseStability } from './stabilityAnalysis.js';
+
+/**
+ * Lists how a structure's solved output differs from what was expected.
+ * @param {object} expected - The structure's entry in the expected file.
+ * @param {object} actual - The entry as solved now.
+ * @returns {string[]} One line per difference; empty if they match.
+ */
+function describeDifferences(expected, actual) {
+    const differences = [];
+    const ids = new Set([...Object.keys(expected.poses ?? {}), ...Object.keys(actual.poses ?? {})]);
+    ids.forEach(id => {
+        const [was, now] = [expected.poses?.[id], actual.poses?.[id]];
+        if (!was) differences.push(`brick ${id} is placed but wasn't expected to be`);
+        else if (!now) differences.push(`brick ${id} is no longer placed`);
+        else if (JSON.stringify(was) !== JSON.stringify(now)) differences.push(`brick ${id} moved from ${JSON.stringify(was)} to ${JSON.stringify(now)}`);
+    });
+    ['error', 'components', 'issues', 'stability'].forEach(field => {
+        if (JSON.stringify(expected[field]) !== JSON.stringify(actual[field])) differences.push(`${field} changed from ${JSON.stringify(expected[field])} to ${JSON.stringify(actual[field])}`);
+    });
+    return differences;
+}
+
+async function main() {
+    const check = process.argv.includes('--check');
+    const [inputPath = 'structures.json', outputPath] = process.argv.slice(2).filter(arg => arg !== '--check');
+    if (check && !outputPath) throw new Error('--check needs the file of expected poses');
+
+    const { structures, errors, warnings } = parseStructuresText(await readFile(inputPath, 'utf8'), inputPath);
+    errors.forEach(error => console.error(error));
+    warnings.forEach(warning => console.warn(warning));
+    if (errors.length > 0) process.exitCode = 1;
+
+    const solved = [];
+    structures.forEach(({ name, data }) => {
+        const report = validateStructure(data, BRICK_DEFINITIONS, { studSize: STUD_SIZE });
+        const { poses, components, issues, error } = solveAssembly(data, { brickDefinitions: BRICK_DEFINITIONS });
+        const problems = [...report.errors, ...report.warnings, ...issues];
+        problems.forEach(issue => (issue.severity === 'error' ? console.error : console.warn)(`'${name}': ${formatIssue(issue)}`));
+        if (error || problems.some(issue => issue.severity === 'error')) process.exitCode = 1;
+
+        const brickCount = data.filter(brick => brick?.type !== 'base').length;
+        const loose = components.filter(component => !component.attached);
+        const looseText = loose.length > 0 ? `, ${loose.reduce((total, component) => total + component.brickIds.length, 0)} in ${loose.length} loose component(s)` : '';
+        console.log(error ? `'${name}': not solved (${error})` : `'${name}': ${poses.length - 1} of ${brickCount} bricks placed${looseText}`);
+        const stability = analyseStability(poses, data, { brickDefinitions: BRICK_DEFINITIONS });
+        if (!error) console.log(`'${name}': stability ${stability.verdict}: ${stability.message}`);
+        stability.issues.forEach(issue => console.warn(`'${name}': ${formatIssue(issue)}`));
+        solved.push({
+            name, error, poses: posesToJSON(poses),
+            stability: { verdict: stability.verdict, maxLoadRatio: Number(stability.maxLoadRatio.toFixed(4)), centreOfMass: stability.centreOfMass?.toArray().map(value => Number(value.toFixed(4))) ?? null },
+            components: components.map(({ index, label, brickIds }) => ({ index, label, brickIds })),
+            issues: problems.map(({ severity, code, brickId, holeId }) => ({ severity, code, brickId, holeId }))
+        });
+    });
+
+    if (check) {
+        const expected = JSON.parse(await readFile(outputPath, 'utf8'));
+        const expectedByName = new Map(expected.map(entry => [entry.name, entry]));
+        let changed = 0;
+        solved.forEach(entry => {
+            const differences = expectedByName.has(entry.name) ? describeDifferences(expectedByName.get(entry.name), entry) : ['not in the expected poses'];
+            expectedByName.delete(entry.name);
+            differences.forEach(difference => console.error(`'${entry.name}': ${difference}`));
+            if (differences.length > 0) changed++;
+        });
+        expectedByName.forEach((_, name) => console.error(`'${name}': expected but no longer in ${inputPath}`));
+        changed += expectedByName.size;
+        if (changed > 0) {
+            console.error(`${changed} structure(s) differ from ${outputPath}; if that is intended, rewrite it by running without --check.`);
+            process.exitCode = 1;
+        } else {
+            console.log(`All ${solved.length} structure(s) match ${outputPath}.`);
+        }
+    } else if (outputPath) {
+        await writeFile(outputPath, `${JSON.stringify(solved, null, 2)}\n`);
+        console.log(`Wrote ${outputPath}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,256 @@
+// --- Stability Analysis ---
+// Estimates whether a built structure would hold together as real bricks. Every brick weighs one unit per cell
+// (one stud across, one plate high). Walking out from the base in build order, each brick and everything built
+// on it form a sub-assembly held by the links that join it to the rest; if the sub-assembly's centre of mass
+// lies over those links' studs it simply rests on them, otherwise the studs' clutch has to carry the overhang.
+// The figures are rough (clutch varies a lot between bricks), so this warns rather than rejects.
+// Works on solver poses and on meshes alike (through meshToBrick), like the collision checks.
+import * as THREE from 'three';
+import { STUD_SIZE } from './brickDefinitions.js';
+import { brickCells } from './brickCollisions.js';
+import { solveAssembly } from './assemblySolver.js';
+
+// Overhang a single stud link holds, in cells x studs. A stud pulls off at roughly 1 N and is prised out about
+// its edge, 2.4 mm from its centre; a cell (a 2x4 brick, 2.3 g, is 24 of them) weighs about 0.1 g, or 1 mN, on
+// an 8 mm lever per stud of overhang. That is about 300; a tenth of it allows for worn bricks and for the
+// bricks flexing, which lets a joint go well before a new one would
+const STUD_CLUTCH_MOMENT = 30;
+// A sub-assembly bears on the studs themselves (4.8 mm across on an 8 mm pitch), not their whole cells
+const STUD_RADIUS = 0.3 * STUD_SIZE;
+// Load ratios from here up are reported as shaky
+const SHAKY_LOAD_RATIO = 0.5;
+const HEAT_OPACITY = 0.6;
+// The heat shading sits this much outside the brick so it doesn't flicker against it
+const HEAT_GROWTH = 1.02;
+
+/**
+ * Works out a brick's weight and world centre of mass.
+ * @param {object} brick - The brick ({brickDef, position, quaternion}).
+ * @returns {{mass: number, centre: THREE.Vector3}} The number of cells and their average world position.
+ */
+function brickMass(brick) {
+    const { centres } = brickCells(brick.brickDef);
+    const centre = new THREE.Vector3();
+    centres.forEach(cell => centre.add(cell.clone().applyQuaternion(brick.quaternion)));
+    if (centres.length > 0) centre.divideScalar(centres.length);
+    return { mass: centres.length, centre: centre.add(brick.position) };
+}
+
+/**
+ * Builds the convex hull of points on the ground plane (Andrew's monotone chain).
+ * @param {THREE.Vector2[]} points - The points, as (x, z).
+ * @returns {THREE.Vector2[]} The hull's corners, anticlockwise, without repeats.
+ */
+function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const half = list => {
+        const chain = [];
+        list.forEach(point => {
+            while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) chain.pop();
+            chain.push(point);
+        });
+        chain.pop(); // Starts the other half
+        return chain;
+    };
+    return [...half(sorted), ...half([...sorted].reverse())];
+}
+
+/**
+ * Measures how far a point on the ground plane lies outside a convex hull.
+ * @param {THREE.Vector2} point - The point, as (x, z).
+ * @param {THREE.Vector2[]} hull - The hull's corners, anticlockwise (see convexHull).
+ * @returns {number} The distance to the hull, or 0 if the point is inside or on it.
+ */
+function distanceOutside(point, hull) {
+    const edge = new THREE.Vector2();
+    const toPoint = new THREE.Vector2();
+    let inside = true;
+    let nearest = Infinity;
+    hull.forEach((from, index) => {
+        const to = hull[(index + 1) % hull.length];
+        edge.subVectors(to, from);
+        toPoint.subVectors(point, from);
+        if (edge.cross(toPoint) < 0) inside = false;
+        const along = THREE.MathUtils.clamp(toPoint.dot(edge) / edge.lengthSq(), 0, 1);
+        nearest = Math.min(nearest, toPoint.distanceTo(edge.multiplyScalar(along)));
+    });
+    return inside ? 0 : nearest;
+}
+
+/**
+ * Builds the ground-plane outline a set of studs stands on, each stud a square of the given half-width.
+ * @param {THREE.Vector3[]} studPositions - World positions of the studs (or cell centres).
+ * @param {number} half - Half the width each stud stands on.
+ * @returns {THREE.Vector2[]} The hull of the squares' corners, as (x, z).
+ */
+function footprintHull(studPositions, half) {
+    return convexHull(studPositions.flatMap(({ x, z }) => [
+        new THREE.Vector2(x - half, z - half), new THREE.Vector2(x + half, z - half),
+        new THREE.Vector2(x + half, z + half), new THREE.Vector2(x - half, z + half)
+    ]));
+}
+
+/**
+ * Analyses the balance of a built structure.
+ *
+ * Only the links the solver followed hold anything: bricks outside the base's component (floating ones, shown in
+ * the tray) are left out, and so are links it rejected or found contradicting the placement.
+ *
+ * @param {Array<{id: string, brickDef: object, position: THREE.Vector3, quaternion: THREE.Quaternion}>} bricks -
+ *   The placed bricks, base included (solver poses, or meshes through meshToBrick).
+ * @param {Array} structureData - The structure's brick array (which holes are linked).
+ * @param {object} [options] - Passed on to solveAssembly (`brickDefinitions`, `catalog`).
+ * @returns {{verdict: string, message: string, centreOfMass: THREE.Vector3 | null, totalMass: number,
+ *   maxLoadRatio: number, bricks: object, issues: Array<object>}} The verdict ("stable", "shaky", "unstable", or
+ *   "unknown" without a base) and a sentence summing it up; the centre of mass and weight (in cells) of everything
+ *   attached to the base; per brick id, the sub-assembly it carries: `{mass, load, centreOfMass, studs, overhang,
+ *   loadRatio, status}`, where `load` is its weight, `overhang` how far (in scene units) its centre of mass lies
+ *   beyond the studs holding it, `loadRatio` the share of their clutch that takes (1 = about to break off) and
+ *   `status` "base", "supported", "cantilevered" or "overloaded"; and OVERHANG_LOAD, OVERLOADED_JOINT and
+ *   TIPPING issues (same shape as structureValidator issues).
+ */
+export function analyseStability(bricks, structureData, options = {}) {
+    const bricksById = Object.fromEntries(bricks.map(brick => [String(brick.id), brick]));
+    const base = bricks.find(brick => brick.brickDef?.IsBase);
+    const result = { verdict: "unknown", message: "No base to stand on.", centreOfMass: null, totalMass: 0, maxLoadRatio: 0, bricks: {}, issues: [] };
+    if (!base) return result;
+    const baseId = String(base.id);
+
+    // --- Links the solver followed between placed bricks, each stud once ---
+    const solved = solveAssembly(structureData, options);
+    const attached = new Set(solved.components[0]?.brickIds ?? []);
+    const brokenHoles = new Set(solved.issues
+        .filter(issue => issue.code === "REJECTED_ORIENTATION" || issue.code === "LINK_CONFLICT")
+        .map(issue => `${issue.brickId}:${issue.holeId}`));
+    const links = new Map();
+    structureData.forEach(brickData => {
+        (brickData?.holes ?? []).forEach(hole => {
+            const id = String(brickData.id);
+            const otherId = String(hole?.brick);
+            if (!hole || otherId === "-1" || !bricksById[id] || !bricksById[otherId] || !attached.has(id) || !attached.has(otherId)) return;
+            const ends = [`${id}:${hole.id}`, `${otherId}:${hole.connectedToHole}`].sort();
+            if (ends.some(end => brokenHoles.has(end))) return;
+            links.set(ends.join('|'), { a: id, holeA: hole.id, b: otherId, holeB: hole.connectedToHole });
+        });
+    });
+    const neighbours = {};
+    links.forEach(link => {
+        (neighbours[link.a] ??= []).push(link.b);
+        (neighbours[link.b] ??= []).push(link.a);
+    });
+
+    // --- Build order from the base, as the solver walks it ---
+    const parents = { [baseId]: null };
+    const order = [baseId];
+    for (let index = 0; index < order.length; index++) {
+        (neighbours[order[index]] ?? []).forEach(next => {
+            if (next in parents) return;
+            parents[next] = order[index];
+            order.push(next);
+        });
+    }
+
+    // --- Sub-assemblies: each brick with everything built on it, leaves first ---
+    const masses = Object.fromEntries(order.map(id => [id, brickMass(bricksById[id])]));
+    const members = Object.fromEntries(order.map(id => [id, new Set([id])]));
+    const moments = Object.fromEntries(order.map(id => [id, masses[id].centre.clone().multiplyScalar(masses[id].mass)]));
+    const loads = Object.fromEntries(order.map(id => [id, masses[id].mass]));
+    [...order].reverse().forEach(id => {
+        const parent = parents[id];
+        if (parent === null) return;
+        members[id].forEach(member => members[parent].add(member));
+        moments[parent].add(moments[id]);
+        loads[parent] += loads[id];
+    });
+
+    const holeWorldPosition = (id, holeId) => {
+        const brick = bricksById[id];
+        const connector = brick.brickDef.HoleInfo?.(holeId);
+        return connector ? connector.offset.applyQuaternion(brick.quaternion).add(brick.position) : null;
+    };
+    order.forEach(id => {
+        const load = loads[id];
+        const centreOfMass = moments[id].clone().divideScalar(load || 1);
+        if (id === baseId) {
+            result.bricks[id] = { mass: masses[id].mass, load, centreOfMass, studs: 0, overhang: 0, loadRatio: 0, status: "base" };
+            return;
+        }
+        // Every link from the sub-assembly to the rest of the structure holds it, not just the one it was built from
+        const studs = [];
+        links.forEach(link => {
+            const inA = members[id].has(link.a);
+            if (inA === members[id].has(link.b) || !(link.a in parents) || !(link.b in parents)) return;
+            const position = inA ? holeWorldPosition(link.b, link.holeB) : holeWorldPosition(link.a, link.holeA);
+            if (position) studs.push(position);
+        });
+        const overhang = studs.length > 0 ? distanceOutside(new THREE.Vector2(centreOfMass.x, centreOfMass.z), footprintHull(studs, STUD_RADIUS)) : 0;
+        const loadRatio = studs.length > 0 ? load * (overhang / STUD_SIZE) / (studs.length * STUD_CLUTCH_MOMENT) : 0;
+        const status = overhang === 0 ? "supported" : loadRatio >= 1 ? "overloaded" : "cantilevered";
+        result.bricks[id] = { mass: masses[id].mass, load, centreOfMass, studs: studs.length, overhang, loadRatio, status };
+        result.maxLoadRatio = Math.max(result.maxLoadRatio, loadRatio);
+
+        const percent = Math.round(loadRatio * 100);
+        const described = `Brick ${id} and the ${members[id].size - 1} brick(s) on it overhang their ${studs.length} stud(s) by ${(overhang / STUD_SIZE).toFixed(1)} stud(s)`;
+        if (status === "overloaded") {
+            result.issues.push({ severity: "error", code: "OVERLOADED_JOINT", brickId: id, holeId: null, loadRatio, message: `${described}; that is about ${percent}% of what the studs can hold, so it would likely break off.` });
+        } else if (loadRatio >= SHAKY_LOAD_RATIO) {
+            result.issues.push({ severity: "warning", code: "OVERHANG_LOAD", brickId: id, holeId: null, loadRatio, message: `${described}, taking about ${percent}% of what the studs can hold.` });
+        }
+    });
+
+    // --- The whole model on the table ---
+    result.totalMass = loads[baseId];
+    result.centreOfMass = result.bricks[baseId].centreOfMass;
+    const baseHull = footprintHull(brickCells(base.brickDef).centres.map(cell => cell.clone().applyQuaternion(base.quaternion).add(base.position)), STUD_SIZE / 2);
+    const tipDistance = distanceOutside(new THREE.Vector2(result.centreOfMass.x, result.centreOfMass.z), baseHull);
+    if (tipDistance > 0) {
+        result.issues.push({ severity: "error", code: "TIPPING", brickId: baseId, holeId: null, message: `The centre of mass is ${(tipDistance / STUD_SIZE).toFixed(1)} stud(s) beyond the edge of the base, so the model would tip over.` });
+    }
+
+    const worst = Object.entries(result.bricks).reduce((found, [id, info]) => (info.loadRatio > (found?.info.loadRatio ?? 0) ? { id, info } : found), null);
+    if (result.issues.some(issue => issue.severity === "error")) {
+        result.verdict = "unstable";
+        result.message = tipDistance > 0 ? "Would tip over its base." : `Would likely break at brick ${worst.id}.`;
+    } else if (result.issues.length > 0) {
+        result.verdict = "shaky";
+        result.message = `Holds, but brick ${worst.id} carries ${Math.round(worst.info.loadRatio * 100)}% of what its studs can take.`;
+    } else {
+        result.verdict = "stable";
+        result.message = worst ? `Stable; the most loaded overhang (brick ${worst.id}) uses ${Math.round(worst.info.loadRatio * 100)}% of its studs' hold.` : "Stable; everything rests on its studs.";
+    }
+    return result;
+}
+
+/**
+ * Picks the heat-scale colour for a load ratio: yellow for a light overhang through orange to red at the
+ * studs' limit.
+ * @param {number} loadRatio - A brick's load ratio from analyseStability.
+ * @returns {THREE.Color} The colour.
+ */
+export function heatColour(loadRatio) {
+    return new THREE.Color().setHSL((1 - THREE.MathUtils.clamp(loadRatio, 0, 1)) / 6, 1, 0.5);
+}
+
+/**
+ * Creates see-through boxes over every brick that carries an overhang, coloured on the heat scale by its load ratio.
+ * @param {Array<object>} bricks - The bricks given to analyseStability.
+ * @param {object} report - Its result.
+ * @returns {THREE.InstancedMesh} One box per overhanging brick; dispose its geometry and material when replacing it.
+ */
+export function createHeatOverlay(bricks, report) {
+    const shaded = bricks.filter(brick => report.bricks[String(brick.id)]?.overhang > 0);
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const material = new THREE.MeshBasicMaterial({ transparent: true, opacity: HEAT_OPACITY, depthWrite: false });
+    const overlay = new THREE.InstancedMesh(geometry, material, shaded.length);
+    const matrix = new THREE.Matrix4();
+    shaded.forEach((brick, index) => {
+        overlay.setMatrixAt(index, matrix.compose(brick.position, brick.quaternion, brick.brickDef.Size.clone().multiplyScalar(HEAT_GROWTH)));
+        overlay.setColorAt(index, heatColour(report.bricks[String(brick.id)].loadRatio));
+    });
+    overlay.instanceMatrix.needsUpdate = true;
+    if (overlay.instanceColor) overlay.instanceColor.needsUpdate = true;
+    overlay.computeBoundingSphere();
+    overlay.name = "HeatOverlay";
+    return overlay;
+}
@@ -0,0 +1,277 @@
+// --- STL Export ---
+// Merges the brick boxes of a structure into one watertight solid for 3D printing.
+// The boxes are rasterised onto a rectilinear grid (aligned to the stud lattice) and only the faces
+// between filled and empty cells are emitted, so touching bricks fuse and no internal faces remain.
+// Parts that aren't boxes (slopes, rounds, arches) go onto the same grid one stud cell and one plate at a
+// time, filling the cells whose centre lies inside the part, so a slope prints as steps of a plate. Studs
+// that don't point up are left off.
+import * as THREE from 'three';
+import { STUD_SIZE, PLATE_HEIGHT } from './brickDefinitions.js';
+import { getValidHoleIds } from './structureValidator.js';
+import { brickCells } from './brickCollisions.js';
+import { downloadFile } from './download.js';
+
+// Grid coordinates closer than this (in scene units) are treated as the same line
+const COORD_TOLERANCE = 1e-4;
+
+// Number of segments used for stud cylinders (must be a multiple of 4, see addStudCell)
+const STUD_SEGMENTS = 16;
+
+// Direction of the rays that test whether a cell centre is inside a part; skewed so they miss the edges
+const INSIDE_RAY = new THREE.Vector3(1, 0.0137, 0.0071).normalize();
+
+/**
+ * Default print dimensions, in millimetres. A stud pitch of 8 mm and plate height of 3.2 mm
+ * match the common brick standard; studs are 4.8 mm across and 1.7 mm tall.
+ */
+export const STL_DEFAULTS = {
+    studPitchMm: 8,
+    plateHeightMm: 3.2,
+    studDiameterMm: 4.8,
+    studHeightMm: 1.7,
+    includeStuds: true
+};
+
+/**
+ * Sorts and de-duplicates grid coordinates within COORD_TOLERANCE.
+ * @param {number[]} values - Raw coordinates.
+ * @returns {number[]} Sorted unique coordinates.
+ */
+function uniqueSorted(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.filter((v, i) => i === 0 || v - sorted[i - 1] > COORD_TOLERANCE);
+}
+
+/**
+ * Finds the index of a grid line matching a coordinate.
+ * @param {number[]} lines - Sorted grid lines.
+ * @param {number} value - The coordinate to look up.
+ * @returns {number} The index, or -1 if no line is within tolerance.
+ */
+function lineIndex(lines, value) {
+    return lines.findIndex(line => Math.abs(line - value) <= COORD_TOLERANCE);
+}
+
+/**
+ * Works out the world-space boxes a part that isn't a box fills, one per stud cell and plate.
+ * @param {THREE.Mesh} mesh - The part's mesh (its geometry is the part's real shape).
+ * @param {object} brickDef - Its brick definition.
+ * @returns {THREE.Box3[]} The cells whose centre lies inside the part.
+ */
+function shapeCellBoxes(mesh, brickDef) {
+    const { centres, cellSize } = brickCells(brickDef);
+    const probe = new THREE.Mesh(mesh.geometry, new THREE.MeshBasicMaterial({ side: THREE.DoubleSide }));
+    const raycaster = new THREE.Raycaster();
+    const half = cellSize.clone().applyQuaternion(mesh.getWorldQuaternion(new THREE.Quaternion())).multiplyScalar(0.5);
+    half.set(Math.abs(half.x), Math.abs(half.y), Math.abs(half.z));
+    const boxes = [];
+    centres.forEach(centre => {
+        // A ray from inside a closed shape crosses its surface an odd number of times
+        raycaster.set(centre, INSIDE_RAY);
+        if (raycaster.intersectObject(probe, false).length % 2 === 0) return;
+        const world = mesh.localToWorld(centre.clone());
+        boxes.push(new THREE.Box3(world.clone().sub(half), world.clone().add(half)));
+    });
+    probe.material.dispose();
+    return boxes;
+}
+
+/**
+ * Builds the triangles of the merged solid, in millimetres, Z-up (the usual orientation for slicers)
+ * and resting on Z = 0.
+ * @param {THREE.Mesh[]} meshes - Every brick mesh to include (base, loaded bricks, user-placed bricks).
+ * @param {object} brickDefinitions - Map of brick type name to brick definition (for top hole positions).
+ * @param {object} [options] - Overrides for STL_DEFAULTS.
+ * @returns {{triangles: Array<number[][]>, skippedStuds: number}} Triangles as three [x, y, z] vertices each.
+ */
+export function buildStlTriangles(meshes, brickDefinitions, options = {}) {
+    const settings = { ...STL_DEFAULTS, ...options };
+    const boxes = [];
+    const topHoleKeys = new Set();
+    const holeKey = (x, y, z) => [x, y, z].map(v => Math.round(v / COORD_TOLERANCE)).join(',');
+    let skippedStuds = 0;
+
+    // --- Gather world-space boxes and top holes ---
+    meshes.forEach(mesh => {
+        mesh.updateWorldMatrix(true, false);
+        const brickDef = brickDefinitions[mesh.userData.type];
+        if (brickDef && brickDef.Shape && brickDef.Shape !== "box") boxes.push(...shapeCellBoxes(mesh, brickDef));
+        else boxes.push(new THREE.Box3().setFromObject(mesh));
+        if (!brickDef || !settings.includeStuds) return;
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(mesh.getWorldQuaternion(new THREE.Quaternion()));
+        getValidHoleIds(brickDef, STUD_SIZE).forEach(holeId => {
+            const connector = brickDef.HoleInfo(holeId);
+            if (connector.kind !== "stud") return;
+            // Only studs pointing up are printed as cells on the grid; side studs (SNOT, or a brick on its side) aren't
+            if (connector.normal.y !== 1 || up.y < 1 - COORD_TOLERANCE) { skippedStuds++; return; }
+            const p = mesh.localToWorld(connector.offset.clone());
+            topHoleKeys.add(holeKey(p.x, p.y, p.z));
+        });
+    });
+    if (boxes.length === 0) return { triangles: [], skippedStuds: 0 };
+
+    // --- Grid lines: every box boundary, plus the stud lattice so each top hole gets its own cell ---
+    const bounds = boxes.reduce((all, box) => all.union(box), new THREE.Box3());
+    const latticeOrigin = boxes[0].min;
+    const latticeLines = (min, max, origin) => {
+        const lines = [];
+        for (let v = origin + Math.ceil((min - origin) / STUD_SIZE - COORD_TOLERANCE) * STUD_SIZE; v <= max + COORD_TOLERANCE; v += STUD_SIZE) lines.push(v);
+        return lines;
+    };
+    const xs = uniqueSorted([...boxes.flatMap(b => [b.min.x, b.max.x]), ...latticeLines(bounds.min.x, bounds.max.x, latticeOrigin.x)]);
+    const ys = uniqueSorted(boxes.flatMap(b => [b.min.y, b.max.y]));
+    const zs = uniqueSorted([...boxes.flatMap(b => [b.min.z, b.max.z]), ...latticeLines(bounds.min.z, bounds.max.z, latticeOrigin.z)]);
+
+    // --- Fill cells covered by any box ---
+    const nx = xs.length - 1, ny = ys.length - 1, nz = zs.length - 1;
+    const filled = new Uint8Array(nx * ny * nz);
+    const cellIndex = (i, j, k) => (i * ny + j) * nz + k;
+    const isFilled = (i, j, k) => i >= 0 && j >= 0 && k >= 0 && i < nx && j < ny && k < nz && filled[cellIndex(i, j, k)] === 1;
+    boxes.forEach(box => {
+        const [i0, i1] = [lineIndex(xs, box.min.x), lineIndex(xs, box.max.x)];
+        const [j0, j1] = [lineIndex(ys, box.min.y), lineIndex(ys, box.max.y)];
+        const [k0, k1] = [lineIndex(zs, box.min.z), lineIndex(zs, box.max.z)];
+        for (let i = i0; i < i1; i++) for (let j = j0; j < j1; j++) for (let k = k0; k < k1; k++) filled[cellIndex(i, j, k)] = 1;
+    });
+
+    // --- Emit boundary faces ---
+    const scaleXZ = settings.studPitchMm / STUD_SIZE;
+    const scaleY = settings.plateHeightMm / PLATE_HEIGHT;
+    const floorY = ys[0];
+    // Scene (Y-up) to print space (Z-up, in mm, resting on Z = 0); a proper rotation, so winding is kept
+    const toPrint = ([x, y, z]) => [x * scaleXZ, -z * scaleXZ, (y - floorY) * scaleY];
+    const triangles = [];
+    const addTriangle = (a, b, c, normal) => {
+        // Wind counter-clockwise around the outward normal
+        const ab = new THREE.Vector3(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+        const ac = new THREE.Vector3(c[0] - a[0], c[1] - a[1], c[2] - a[2]);
+        const facing = ab.cross(ac).dot(new THREE.Vector3(...normal));
+        triangles.push((facing >= 0 ? [a, b, c] : [a, c, b]).map(toPrint));
+    };
+    const addQuad = (a, b, c, d, normal) => { addTriangle(a, b, c, normal); addTriangle(a, c, d, normal); };
+
+    const studRadius = (settings.studDiameterMm / 2) / scaleXZ;
+    const studHeight = settings.studHeightMm / scaleY;
+
+    /**
+     * Emits the top face of a cell with a stud rising from its centre.
+     * The face is an annulus between the cell's four corners and the stud's bottom ring: each ring edge
+     * fans to its nearest corner and each side of the square closes against the ring vertex facing it,
+     * so the only vertices on the cell's edges are its corners and neighbouring faces share them exactly.
+     */
+    const addStudCell = (x0, x1, y, z0, z1) => {
+        const cx = (x0 + x1) / 2, cz = (z0 + z1) / 2;
+        const up = [0, 1, 0];
+        const ring = (height) => Array.from({ length: STUD_SEGMENTS }, (_, s) => {
+            const angle = (s / STUD_SEGMENTS) * Math.PI * 2;
+            return [cx + Math.cos(angle) * studRadius, height, cz + Math.sin(angle) * studRadius];
+        });
+        const bottom = ring(y);
+        const top = ring(y + studHeight);
+        // Corners in angular order: 45°, 135°, 225°, 315°
+        const corners = [[x1, y, z1], [x0, y, z1], [x0, y, z0], [x1, y, z0]];
+        const quarter = STUD_SEGMENTS / 4;
+        for (let s = 0; s < STUD_SEGMENTS; s++) {
+            const next = (s + 1) % STUD_SEGMENTS;
+            addTriangle(bottom[s], bottom[next], corners[Math.floor(s / quarter)], up);
+            // Stud wall
+            const outward = [Math.cos((s + 0.5) / STUD_SEGMENTS * Math.PI * 2), 0, Math.sin((s + 0.5) / STUD_SEGMENTS * Math.PI * 2)];
+            addQuad(bottom[s], bottom[next], top[next], top[s], outward);
+            // Stud cap
+            addTriangle([cx, y + studHeight, cz], top[s], top[next], up);
+        }
+        for (let c = 0; c < 4; c++) {
+            addTriangle(corners[c], corners[(c + 1) % 4], bottom[((c + 1) * quarter) % STUD_SEGMENTS], up);
+        }
+    };
+
+    for (let i = 0; i < nx; i++) for (let j = 0; j < ny; j++) for (let k = 0; k < nz; k++) {
+        if (!isFilled(i, j, k)) continue;
+        const [x0, x1, y0, y1, z0, z1] = [xs[i], xs[i + 1], ys[j], ys[j + 1], zs[k], zs[k + 1]];
+        if (!isFilled(i - 1, j, k)) addQuad([x0, y0, z0], [x0, y1, z0], [x0, y1, z1], [x0, y0, z1], [-1, 0, 0]);
+        if (!isFilled(i + 1, j, k)) addQuad([x1, y0, z0], [x1, y1, z0], [x1, y1, z1], [x1, y0, z1], [1, 0, 0]);
+        if (!isFilled(i, j - 1, k)) addQuad([x0, y0, z0], [x1, y0, z0], [x1, y0, z1], [x0, y0, z1], [0, -1, 0]);
+        if (!isFilled(i, j, k - 1)) addQuad([x0, y0, z0], [x1, y0, z0], [x1, y1, z0], [x0, y1, z0], [0, 0, -1]);
+        if (!isFilled(i, j, k + 1)) addQuad([x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1], [0, 0, 1]);
+        if (!isFilled(i, j + 1, k)) {
+            const onHole = topHoleKeys.has(holeKey((x0 + x1) / 2, y1, (z0 + z1) / 2));
+            if (onHole && studRadius * 2 < Math.min(x1 - x0, z1 - z0)) {
+                addStudCell(x0, x1, y1, z0, z1);
+            } else {
+                if (onHole) skippedStuds++;
+                addQuad([x0, y1, z0], [x1, y1, z0], [x1, y1, z1], [x0, y1, z1], [0, 1, 0]);
+            }
+        }
+    }
+    return { triangles, skippedStuds };
+}
+
+/**
+ * Computes the unit normal of a triangle from its winding.
+ * @param {number[][]} triangle - Three [x, y, z] vertices.
+ * @returns {number[]} The normal.
+ */
+function triangleNormal([a, b, c]) {
+    const n = new THREE.Vector3(b[0] - a[0], b[1] - a[1], b[2] - a[2])
+        .cross(new THREE.Vector3(c[0] - a[0], c[1] - a[1], c[2] - a[2]))
+        .normalize();
+    return [n.x, n.y, n.z];
+}
+
+/**
+ * Encodes triangles as a binary STL file.
+ * @param {Array<number[][]>} triangles - Triangles from buildStlTriangles.
+ * @param {string} name - Written into the 80-byte header.
+ * @returns {ArrayBuffer} The file contents.
+ */
+export function toBinaryStl(triangles, name) {
+    const buffer = new ArrayBuffer(84 + triangles.length * 50);
+    const view = new DataView(buffer);
+    const header = `Animo structure: ${name}`.slice(0, 80);
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+    view.setUint32(80, triangles.length, true);
+    let offset = 84;
+    triangles.forEach(triangle => {
+        [triangleNormal(triangle), ...triangle].forEach(vector => {
+            vector.forEach(value => { view.setFloat32(offset, value, true); offset += 4; });
+        });
+        view.setUint16(offset, 0, true); // Attribute byte count
+        offset += 2;
+    });
+    return buffer;
+}
+
+/**
+ * Encodes triangles as an ASCII STL file.
+ * @param {Array<number[][]>} triangles - Triangles from buildStlTriangles.
+ * @param {string} name - The solid's name.
+ * @returns {string} The file contents.
+ */
+export function toAsciiStl(triangles, name) {
+    const solidName = name.replace(/\s+/g, '_');
+    const format = vector => vector.map(value => value.toExponential(6)).join(' ');
+    const facets = triangles.map(triangle => [
+        `  facet normal ${format(triangleNormal(triangle))}`,
+        '    outer loop',
+        ...triangle.map(vertex => `      vertex ${format(vertex)}`),
+        '    endloop',
+        '  endfacet'
+    ].join('\n'));
+    return `solid ${solidName}\n${facets.join('\n')}\nendsolid ${solidName}\n`;
+}
+
+/**
+ * Builds an STL of the given meshes and downloads it in the browser.
+ * @param {THREE.Mesh[]} meshes - Every brick mesh to include.
+ * @param {object} brickDefinitions - Map of brick type name to brick definition.
+ * @param {string} name - Structure name, used for the file name and header.
+ * @param {object} [options] - Overrides for STL_DEFAULTS, plus `binary` (default true).
+ * @returns {{triangleCount: number, skippedStuds: number}} Stats about the exported solid.
+ */
+export function downloadStl(meshes, brickDefinitions, name, options = {}) {
+    const { triangles, skippedStuds } = buildStlTriangles(meshes, brickDefinitions, options);
+    const binary = options.binary ?? true;
+    const contents = binary ? toBinaryStl(triangles, name) : toAsciiStl(triangles, name);
+    downloadFile(contents, `${name.replace(/[^\w-]+/g, '_')}.stl`, binary ? 'application/octet-stream' : 'text/plain');
+    return { triangleCount: triangles.length, skippedStuds };
+}
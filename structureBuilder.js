@@ -0,0 +1,140 @@
+// --- Structure Builder ---
+// Turns a structure's brick data into positioned Three.js meshes without touching the scene or the DOM.
+// Where the bricks go is worked out by assemblySolver.js; this module only makes meshes for those poses.
+import * as THREE from 'three';
+import { createBrickGeometry } from './brickGeometry.js';
+import { FINISHES, resolveBrickColour } from './brickColours.js';
+import { solveAssembly } from './assemblySolver.js';
+
+/**
+ * Creates the material for a brick colour, with the settings of its finish (see FINISHES).
+ * @param {string | null | undefined} colour - The brick's colour field.
+ * @param {string} name - The material name.
+ * @returns {THREE.MeshStandardMaterial | THREE.MeshPhysicalMaterial} The material; `userData.finish` names the finish.
+ */
+export function createBrickMaterial(colour, name) {
+    const { hex, finish } = resolveBrickColour(colour);
+    const { physical, params } = FINISHES[finish];
+    const MaterialType = physical ? THREE.MeshPhysicalMaterial : THREE.MeshStandardMaterial;
+    const material = new MaterialType({ name, color: hex, ...params });
+    material.userData.finish = finish;
+    return material;
+}
+
+/**
+ * Creates the mesh for a single brick, named and tagged so it can be identified later
+ * (selection, saving, export).
+ * @param {object} brickDef - The brick definition.
+ * @param {object} brickData - The brick's entry from the structure data.
+ * @returns {THREE.Mesh} The new mesh, at the origin.
+ */
+export function createBrickMesh(brickDef, brickData) {
+    const geometry = createBrickGeometry(brickDef);
+    const material = createBrickMaterial(brickData.colour, `Mat_${brickData.id}`);
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = `Brick_${brickData.id}`;
+    mesh.userData = { id: String(brickData.id), type: brickData.type, colour: brickData.colour, macaddress: brickData.macaddress ?? "" };
+    return mesh;
+}
+
+/**
+ * Builds the meshes for a structure, posed as solveAssembly works out.
+ *
+ * The result's `error` is set (and the meshes are empty) when the structure can't be built at all,
+ * e.g. when the base is missing; it holds a short message suitable for the info line.
+ *
+ * @param {Array} structureData - An array of brick objects representing the structure.
+ * @param {object} [options]
+ * @param {number} [options.baseY=0] - Y position of the base plate's center.
+ * @param {object} [options.brickDefinitions] - Brick definitions to solve with (see solveAssembly).
+ * @returns {{baseMesh: THREE.Mesh | null, brickMeshes: THREE.Mesh[], meshesById: object, components: Array<object>,
+ *   issues: Array<object>, error: string | null}} `brickMeshes` includes the bricks of floating components, set
+ *   down in the tray; `components` and `issues` are solveAssembly's.
+ */
+export function buildStructureMeshes(structureData, options = {}) {
+    const result = { baseMesh: null, brickMeshes: [], meshesById: {}, components: [], issues: [], error: null };
+    const { poses, components, issues, error } = solveAssembly(structureData, options);
+    if (error) { result.error = error; return result; }
+    result.components = components;
+    result.issues = issues;
+
+    poses.forEach(({ id, brickData, brickDef, position, quaternion }) => {
+        const mesh = createBrickMesh(brickDef, brickData);
+        mesh.position.copy(position); mesh.quaternion.copy(quaternion);
+        mesh.updateMatrixWorld();
+        if (id === "1") result.baseMesh = mesh; else result.brickMeshes.push(mesh);
+        result.meshesById[id] = mesh;
+    });
+    return result;
+}
+
+// Poses closer than this (scene units / quaternion components) count as unchanged
+const POSE_TOLERANCE = 1e-6;
+
+/**
+ * Brings existing meshes in line with new structure data, touching only what changed:
+ * bricks that are gone (or changed type or finish) are removed, new ones are created, and the rest are
+ * recoloured and re-posed in place so their identity (uuid, selection, highlight) is kept.
+ *
+ * Nothing is added to or removed from a scene here; the caller does that with the returned lists,
+ * and disposes the removed meshes.
+ *
+ * @param {object} meshesById - The current meshes keyed by brick id, base ("1") included.
+ * @param {Array} structureData - The new brick array.
+ * @param {object} [options]
+ * @param {number} [options.baseY=0] - Y position of the base plate's center.
+ * @param {object} [options.brickDefinitions] - Brick definitions to solve with (see solveAssembly).
+ * @param {function(THREE.Mesh): THREE.Material} [options.materialOf] - Returns the material to recolour for a
+ *   mesh; lets callers that swap materials (e.g. for highlighting) have the stored original updated instead.
+ * @returns {{meshesById: object, added: THREE.Mesh[], removed: THREE.Mesh[], recoloured: THREE.Mesh[],
+ *   moved: THREE.Mesh[], components: Array<object>, issues: Array<object>, error: string | null}} On error nothing is
+ *   changed and the lists are empty. `components` and `issues` are solveAssembly's.
+ */
+export function updateStructureMeshes(meshesById, structureData, options = {}) {
+    const materialOf = options.materialOf ?? (mesh => mesh.material);
+    const result = { meshesById: {}, added: [], removed: [], recoloured: [], moved: [], components: [], issues: [], error: null };
+    const { poses, components, issues, error } = solveAssembly(structureData, options);
+    if (error) { result.error = error; result.meshesById = { ...meshesById }; return result; }
+    result.components = components;
+    result.issues = issues;
+
+    const placedIds = new Set(poses.map(pose => pose.id));
+    Object.entries(meshesById).forEach(([id, mesh]) => {
+        if (!placedIds.has(id)) result.removed.push(mesh);
+    });
+
+    poses.forEach(({ id, brickData, brickDef, position, quaternion }) => {
+        let mesh = meshesById[id];
+        const { hex, finish } = resolveBrickColour(brickData.colour);
+        // A new finish needs another kind of material, so the brick is rebuilt like a type change
+        if (mesh && (mesh.userData.type !== brickData.type || resolveBrickColour(mesh.userData.colour).finish !== finish)) {
+            result.removed.push(mesh);
+            mesh = null;
+        }
+        if (!mesh) {
+            mesh = createBrickMesh(brickDef, brickData);
+            mesh.position.copy(position); mesh.quaternion.copy(quaternion);
+            mesh.updateMatrixWorld();
+            result.added.push(mesh);
+            result.meshesById[id] = mesh;
+            return;
+        }
+
+        if (mesh.userData.colour !== brickData.colour) {
+            materialOf(mesh).color.setHex(hex);
+            result.recoloured.push(mesh);
+        }
+        mesh.userData.colour = brickData.colour;
+        mesh.userData.macaddress = brickData.macaddress ?? "";
+
+        const samePose = mesh.position.distanceTo(position) < POSE_TOLERANCE &&
+            Math.abs(Math.abs(mesh.quaternion.dot(quaternion)) - 1) < POSE_TOLERANCE;
+        if (!samePose) {
+            mesh.position.copy(position); mesh.quaternion.copy(quaternion);
+            mesh.updateMatrixWorld();
+            result.moved.push(mesh);
+        }
+        result.meshesById[id] = mesh;
+    });
+    return result;
+}
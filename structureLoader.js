@@ -0,0 +1,137 @@
+// --- Structure Loader ---
+// Parses structure files from any source (fetched URL, dropped or chosen file, pasted text) into the
+// `[{ name, data: [...] }]` shape the viewer keeps in `jsonData`, and merges them into what is loaded.
+// Problems are returned, never thrown, so a bad input can't take the viewer down.
+import { BRICK_DEFINITIONS, STUD_SIZE } from './brickDefinitions.js';
+import { validateStructure } from './structureValidator.js';
+
+/**
+ * Turns one candidate entry into a structure, or explains why it can't be one.
+ * Accepts `data` as an array or as a JSON string (the format the first viewer embedded).
+ * @param {*} entry - The candidate entry.
+ * @param {string} fallbackName - Name to use when the entry has none.
+ * @returns {{structure: {name: string, data: Array} | null, error: string | null}}
+ */
+function normaliseStructure(entry, fallbackName) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { structure: null, error: `${fallbackName}: not an object with a 'data' field.` };
+    }
+    let data = entry.data;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            return { structure: null, error: `${entry.name || fallbackName}: 'data' is not valid JSON (${error.message}).` };
+        }
+    }
+    if (!Array.isArray(data)) {
+        return { structure: null, error: `${entry.name || fallbackName}: 'data' is not an array of bricks.` };
+    }
+    return { structure: { name: entry.name ? String(entry.name) : fallbackName, data }, error: null };
+}
+
+/**
+ * Parses structure JSON text. Accepted shapes:
+ * - a structures.json array: `[{ name, data }, ...]`
+ * - a single structure: `{ name, data }`
+ * - a bare brick array: `[{ id, type, holes, ... }, ...]` (named after the source)
+ *
+ * Every structure is checked with validateStructure. Structures that cannot be built (no base or a broken
+ * shape) are rejected with an error; others are kept, and their validation errors are reported as warnings.
+ *
+ * @param {string} text - The JSON text.
+ * @param {string} sourceName - Where the text came from (file name, URL, "Pasted JSON"); used in messages and names.
+ * @returns {{structures: Array<{name: string, data: Array}>, errors: string[], warnings: string[]}}
+ */
+export function parseStructuresText(text, sourceName) {
+    const errors = [];
+    const warnings = [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { structures: [], errors: [`${sourceName}: not valid JSON (${error.message}).`], warnings };
+    }
+
+    // Work out which of the accepted shapes this is
+    let candidates;
+    if (Array.isArray(parsed)) {
+        const looksLikeBricks = parsed.length > 0 && parsed.every(item => item && typeof item === 'object' && 'holes' in item && !('data' in item));
+        candidates = looksLikeBricks ? [{ name: sourceName, data: parsed }] : parsed;
+    } else {
+        candidates = [parsed];
+    }
+
+    const structures = [];
+    candidates.forEach((candidate, index) => {
+        const { structure, error } = normaliseStructure(candidate, candidates.length > 1 ? `${sourceName} #${index + 1}` : sourceName);
+        if (error) { errors.push(error); return; }
+
+        const report = validateStructure(structure.data, BRICK_DEFINITIONS, { studSize: STUD_SIZE });
+        const fatal = report.errors.find(issue => issue.code === 'MISSING_BASE' || issue.code === 'MULTIPLE_BASES');
+        if (fatal) { errors.push(`${structure.name}: ${fatal.message}`); return; }
+        if (!report.valid) warnings.push(`${structure.name}: ${report.errors.length} validation error(s); it may not build as intended.`);
+        structures.push(structure);
+    });
+
+    if (structures.length === 0 && errors.length === 0) errors.push(`${sourceName}: contains no structures.`);
+    return { structures, errors, warnings };
+}
+
+/**
+ * Fetches and parses a structures file.
+ * @param {string} url - The file's URL (relative URLs resolve against the page).
+ * @returns {Promise<{structures: Array, errors: string[], warnings: string[]}>} Never rejects.
+ */
+export async function fetchStructures(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            const errorText = response.status === 404 ? 'File not found (404)' : `HTTP error! status: ${response.status}`;
+            return { structures: [], errors: [`${url}: ${errorText}`], warnings: [] };
+        }
+        return parseStructuresText(await response.text(), url);
+    } catch (error) {
+        return { structures: [], errors: [`${url}: ${error.message}`], warnings: [] };
+    }
+}
+
+/**
+ * Reads and parses a structures file chosen or dropped by the user.
+ * @param {File} file - The file.
+ * @returns {Promise<{structures: Array, errors: string[], warnings: string[]}>} Never rejects.
+ */
+export async function readStructuresFile(file) {
+    try {
+        return parseStructuresText(await file.text(), file.name);
+    } catch (error) {
+        return { structures: [], errors: [`${file.name}: ${error.message}`], warnings: [] };
+    }
+}
+
+/**
+ * Combines newly loaded structures with the ones already loaded.
+ * In "replace" mode the new structures are all that remain. In "merge" mode a new structure replaces
+ * a loaded one with the same name and is appended otherwise.
+ * @param {Array<{name: string, data: Array}>} existing - The currently loaded structures (not modified).
+ * @param {Array<{name: string, data: Array}>} incoming - The newly loaded structures.
+ * @param {'replace' | 'merge'} mode - How to combine them.
+ * @returns {{structures: Array, firstIndex: number}} The combined list and the index of the first incoming structure.
+ */
+export function mergeStructures(existing, incoming, mode) {
+    if (mode === 'replace' || existing.length === 0) return { structures: [...incoming], firstIndex: 0 };
+    const structures = [...existing];
+    let firstIndex = -1;
+    incoming.forEach(structure => {
+        let index = structures.findIndex(loaded => loaded.name === structure.name);
+        if (index === -1) {
+            index = structures.length;
+            structures.push(structure);
+        } else {
+            structures[index] = structure;
+        }
+        if (firstIndex === -1) firstIndex = index;
+    });
+    return { structures, firstIndex: Math.max(firstIndex, 0) };
+}
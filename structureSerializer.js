@@ -0,0 +1,191 @@
+// --- Structure Serializer ---
+// Turns the bricks currently in the scene back into the structures.json hole-connection format.
+// Links are worked out from which studs line up in world space, so cloned and user-placed
+// bricks are saved the same way as bricks that came from the loaded data.
+import * as THREE from 'three';
+import { getValidHoleIds, normaliseOrientation } from './structureValidator.js';
+import { mateOrientation } from './brickConnectors.js';
+
+// Two holes closer than this (in scene units) are considered to be on the same stud
+const POSITION_TOLERANCE = 1e-3;
+
+// Connectors whose world normals point this much against each other count as face to face
+const FACING_DOT = -0.999;
+
+/**
+ * Builds a lookup key for a world position, snapped to the tolerance grid.
+ * @param {THREE.Vector3} position - The world position.
+ * @returns {string} The lookup key.
+ */
+function positionKey(position) {
+    const snap = v => Math.round(v / POSITION_TOLERANCE);
+    return `${snap(position.x)},${snap(position.y)},${snap(position.z)}`;
+}
+
+/**
+ * Picks IDs for all bricks, keeping each mesh's original ID unless it is already taken
+ * (which is the case for clones, since they copy the userData of their source brick).
+ * The base always keeps or receives ID "1", because buildStructure starts from there.
+ * @param {Array<object>} entries - Brick entries with a `mesh` property.
+ */
+function assignIds(entries) {
+    const usedIds = new Set(["1"]);
+    let nextId = 2;
+    entries.forEach(entry => {
+        const originalId = entry.mesh.userData.id !== undefined ? String(entry.mesh.userData.id) : null;
+        if (!originalId || originalId === "1" || usedIds.has(originalId)) return;
+        usedIds.add(originalId);
+        entry.id = originalId;
+        const numeric = Number(originalId);
+        if (Number.isInteger(numeric) && numeric >= nextId) nextId = numeric + 1;
+    });
+    entries.forEach(entry => {
+        if (entry.id) return;
+        while (usedIds.has(String(nextId))) nextId++;
+        entry.id = String(nextId);
+        usedIds.add(entry.id);
+    });
+}
+
+/**
+ * Serializes a base plate mesh and a set of brick meshes into a structure object.
+ *
+ * Each mesh must carry `userData.type` (a key of `brickDefinitions`) and may carry
+ * `userData.id`, `userData.colour` and `userData.macaddress`. A stud and a socket (a top and a
+ * bottom hole, or a side stud and a bottom hole) at the same world position and facing each other become
+ * a mirrored link on both bricks, as do two pin holes.
+ *
+ * @param {object} params
+ * @param {string} params.name - Name of the saved structure.
+ * @param {THREE.Mesh} params.baseMesh - The base plate mesh.
+ * @param {THREE.Mesh[]} params.meshes - Every brick mesh to save (loaded and user-placed).
+ * @param {object} params.brickDefinitions - Map of brick type name to brick definition.
+ * @param {number} params.studSize - Scene units per stud.
+ * @returns {{structure: {name: string, data: Array}, warnings: string[]}} The structure and any problems found.
+ */
+export function serializeScene({ name, baseMesh, meshes, brickDefinitions, studSize }) {
+    const warnings = [];
+
+    // --- Collect bricks with their definitions ---
+    const entries = [];
+    [baseMesh, ...meshes].forEach(mesh => {
+        if (!mesh) return;
+        const brickDef = brickDefinitions[mesh.userData.type];
+        if (!brickDef) {
+            warnings.push(`Skipped mesh '${mesh.name || mesh.uuid}' with unknown brick type '${mesh.userData.type}'.`);
+            return;
+        }
+        mesh.updateWorldMatrix(true, false);
+        entries.push({ mesh, brickDef, id: mesh === baseMesh ? "1" : null, holes: {} });
+    });
+    if (!entries.length || entries[0].mesh !== baseMesh) {
+        warnings.push("No base plate in the scene; nothing to save.");
+        return { structure: { name, data: [] }, warnings };
+    }
+    assignIds(entries);
+
+    // --- Compute world hole positions and start every hole unconnected ---
+    // Side holes always carry their axis, so a file can be read without the catalog
+    const studsByPosition = new Map();
+    const pinHolesByPosition = new Map();
+    entries.forEach(entry => {
+        entry.quaternion = entry.mesh.getWorldQuaternion(new THREE.Quaternion());
+        entry.connectors = {};
+        getValidHoleIds(entry.brickDef, studSize).forEach(holeId => {
+            const connector = entry.brickDef.HoleInfo(holeId);
+            entry.holes[holeId] = { id: holeId, brick: "-1", connectedToHole: -1, orientation: 0 };
+            if (connector.axis !== "+y" && connector.axis !== "-y") entry.holes[holeId].axis = connector.axis;
+            const worldPosition = entry.mesh.localToWorld(connector.offset.clone());
+            const worldNormal = connector.normal.clone().applyQuaternion(entry.quaternion);
+            entry.connectors[holeId] = { connector, worldPosition, worldNormal };
+            const key = positionKey(worldPosition);
+            if (connector.kind === "stud") {
+                if (studsByPosition.has(key)) {
+                    warnings.push(`Bricks ${studsByPosition.get(key).entry.id} and ${entry.id} have studs in the same place.`);
+                } else {
+                    studsByPosition.set(key, { entry, holeId });
+                }
+            } else if (connector.kind === "pin-hole") {
+                if (!pinHolesByPosition.has(key)) pinHolesByPosition.set(key, []);
+                pinHolesByPosition.get(key).push({ entry, holeId });
+            }
+        });
+    });
+
+    // Links two holes that meet face to face, if the bricks are turned by an orientation the link allows.
+    // The orientation goes on the first hole's entry (the stud), and on both for a pin link.
+    const link = (first, second) => {
+        const a = first.entry.connectors[first.holeId];
+        const b = second.entry.connectors[second.holeId];
+        if (a.worldNormal.dot(b.worldNormal) > FACING_DOT) return;
+        const isPin = a.connector.kind === "pin-hole";
+        const degrees = mateOrientation(first.entry.quaternion, a.connector, second.entry.quaternion, b.connector);
+        const orientation = degrees === null ? null : normaliseOrientation(degrees, isPin);
+        if (orientation === null) {
+            warnings.push(`Brick ${second.entry.id} hole ${second.holeId} meets brick ${first.entry.id} hole ${first.holeId} but is not ${isPin ? 'face to face with it' : 'turned by a quarter turn'}, so it is not linked.`);
+            return;
+        }
+        Object.assign(first.entry.holes[first.holeId], { brick: second.entry.id, connectedToHole: second.holeId, orientation });
+        Object.assign(second.entry.holes[second.holeId], { brick: first.entry.id, connectedToHole: first.holeId, orientation: isPin ? orientation : 0 });
+    };
+
+    // --- Link every socket that sits on a stud, and every pair of pin holes that meet ---
+    entries.forEach(entry => {
+        Object.keys(entry.connectors).map(Number).forEach(holeId => {
+            if (entry.connectors[holeId].connector.kind !== "socket") return;
+            const stud = studsByPosition.get(positionKey(entry.connectors[holeId].worldPosition));
+            if (stud && stud.entry !== entry) link(stud, { entry, holeId });
+        });
+    });
+    pinHolesByPosition.forEach(pinHoles => {
+        pinHoles.forEach((first, index) => pinHoles.slice(index + 1).forEach(second => {
+            const taken = hole => hole.entry.holes[hole.holeId].brick !== "-1";
+            if (first.entry !== second.entry && !taken(first) && !taken(second)) link(first, second);
+        }));
+    });
+
+    // --- Report bricks that buildStructure can only set down in the tray (see solveAssembly) ---
+    const reached = new Set(["1"]);
+    const queue = ["1"];
+    const entriesById = Object.fromEntries(entries.map(entry => [entry.id, entry]));
+    while (queue.length > 0) {
+        const entry = entriesById[queue.shift()];
+        Object.values(entry.holes).forEach(hole => {
+            if (hole.brick === "-1" || reached.has(hole.brick)) return;
+            reached.add(hole.brick);
+            queue.push(hole.brick);
+        });
+    }
+    entries.forEach(entry => {
+        if (!reached.has(entry.id)) warnings.push(`Brick ${entry.id} is not attached to the base; on load it will be shown in the tray rather than where it is now.`);
+    });
+
+    // --- Emit in structures.json order: base first, then scene order ---
+    const data = entries.map(entry => ({
+        id: entry.id,
+        colour: entry.mesh.userData.colour ?? "default",
+        type: entry.mesh.userData.type,
+        macaddress: entry.mesh.userData.macaddress ?? "",
+        holes: Object.keys(entry.holes).map(Number).sort((a, b) => a - b).map(holeId => entry.holes[holeId])
+    }));
+
+    return { structure: { name, data }, warnings };
+}
+
+/**
+ * Stringifies an array of structures the same way structures.json is laid out:
+ * indented structure objects with one compact brick per line.
+ * @param {Array<{name: string, data: Array}>} structures - The structures to write.
+ * @returns {string} The file contents.
+ */
+export function stringifyStructures(structures) {
+    const blocks = structures.map(structure => [
+        '    {',
+        `        "name": ${JSON.stringify(structure.name)},`,
+        '        "data": [',
+        structure.data.map(brick => `            ${JSON.stringify(brick)}`).join(',\n'),
+        '        ]',
+        '    }'
+    ].join('\n'));
+    return `[\n${blocks.join(',\n')}\n]\n`;
+}
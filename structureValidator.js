@@ -0,0 +1,257 @@
+// --- Structure Validator ---
+// Standalone checks for the structures.json hole-connection format.
+// Has no Three.js or DOM dependency so it can run in the viewer and under Node alike.
+import { resolveBrickColour } from './brickColours.js';
+
+// Orientations (degrees around Y) that a brick can physically sit at on a stud grid
+const LEGAL_ORIENTATIONS = [0, 90, 180, 270];
+
+// Default stud size used to derive the hole count of a base plate from its Size
+const DEFAULT_STUD_SIZE = 2;
+
+/**
+ * Brings an orientation into the range the data format uses. Any whole quarter turn seats a brick on the
+ * stud grid (-90 is the same as 270); anything else would leave its holes between studs. Bricks joined
+ * by a pin turn freely about it, so pin links take any angle.
+ * @param {*} orientation - Degrees about the link's axis, as a number or numeric string (missing means 0).
+ * @param {boolean} [freeSpin=false] - The link is a pin, which allows any angle.
+ * @returns {number | null} 0, 90, 180 or 270 (any angle in [0, 360) for a pin), or null if no brick can
+ *   sit at that angle.
+ */
+export function normaliseOrientation(orientation, freeSpin = false) {
+    const degrees = Number(orientation ?? 0);
+    if (!Number.isFinite(degrees)) return null;
+    const normalised = ((degrees % 360) + 360) % 360;
+    return freeSpin || LEGAL_ORIENTATIONS.includes(normalised) ? normalised : null;
+}
+
+/**
+ * Describes a hole as a connector. Definitions from the catalog say this themselves (HoleInfo); for
+ * others, top holes are studs facing up and the rest sockets facing down.
+ * @param {object} brickDef - The brick definition object.
+ * @param {number} holeId - The hole ID.
+ * @returns {{kind: string, axis: string}} The kind ("stud", "socket" or "pin-hole") and the face it is on
+ *   ("+y", "-y", "+x", ...).
+ */
+export function holeConnector(brickDef, holeId) {
+    const info = brickDef.HoleInfo?.(holeId);
+    if (info) return { kind: info.kind, axis: info.axis };
+    return isTopHoleOf(brickDef, holeId) ? { kind: "stud", axis: "+y" } : { kind: "socket", axis: "-y" };
+}
+
+/**
+ * Checks if two kinds of connector fit together: a stud in a socket, or two pin holes joined by a pin.
+ * @param {string} kindA - One connector's kind.
+ * @param {string} kindB - The other's.
+ * @returns {boolean} True if they mate.
+ */
+export function connectorsMate(kindA, kindB) {
+    if (kindA === "pin-hole" || kindB === "pin-hole") return kindA === kindB;
+    return kindA !== kindB;
+}
+
+/**
+ * Returns every valid hole ID for a brick definition.
+ * Definitions list their holes explicitly (top, bottom, then side); a base plate without lists is a grid of top holes
+ * whose dimensions are derived from its Size.
+ * @param {object} brickDef - The brick definition object.
+ * @param {number} studSize - Scene units per stud.
+ * @returns {number[]} The list of valid hole IDs.
+ */
+export function getValidHoleIds(brickDef, studSize) {
+    if (brickDef.IsBase && !Array.isArray(brickDef.TopHoleIds)) {
+        const cols = Math.round(brickDef.Size.x / studSize);
+        const rows = Math.round(brickDef.Size.z / studSize);
+        return Array.from({ length: cols * rows }, (_, i) => i);
+    }
+    return [...(brickDef.TopHoleIds || []), ...(brickDef.BottomHoleIds || []), ...(brickDef.SideHoleIds || [])];
+}
+
+/**
+ * Checks if a hole is on the top surface (base plate holes always are).
+ * @param {object} brickDef - The brick definition object.
+ * @param {number} holeId - The hole ID to check.
+ * @returns {boolean} True if it's a top hole.
+ */
+export function isTopHoleOf(brickDef, holeId) {
+    if (brickDef.IsBase) return true;
+    return Array.isArray(brickDef.TopHoleIds) && brickDef.TopHoleIds.includes(holeId);
+}
+
+/**
+ * Checks if anything can be attached on top of a brick (tiles are smooth on top).
+ * @param {object} brickDef - The brick definition object.
+ * @returns {boolean} True if the brick has at least one top hole.
+ */
+export function hasTopHoles(brickDef) {
+    return brickDef.IsBase || (Array.isArray(brickDef.TopHoleIds) && brickDef.TopHoleIds.length > 0);
+}
+
+/**
+ * Validates an array of brick data against a set of brick definitions.
+ *
+ * Every issue is reported as `{ severity, code, brickId, holeId, message }` where
+ * `severity` is "error" (the structure cannot be built as described) or "warning"
+ * (it can be built but something looks off). `brickId` and `holeId` are null when
+ * the issue isn't tied to a particular brick or hole.
+ *
+ * A hole entry may carry an optional `axis`: the face its hole is on ("+x", "-z", ...), written for side
+ * connections so readers can tell them apart without the catalog. Entries without it are read as before.
+ * A link's orientation is kept on its stud's entry (for pin links, on both entries).
+ *
+ * @param {Array} structureData - The `data` array of a structure from structures.json.
+ * @param {object} brickDefinitions - Map of brick type name to brick definition.
+ * @param {object} [options]
+ * @param {number} [options.studSize=2] - Scene units per stud, used to size base plates.
+ * @returns {{valid: boolean, errors: object[], warnings: object[]}} The validation report.
+ */
+export function validateStructure(structureData, brickDefinitions, options = {}) {
+    const studSize = options.studSize ?? DEFAULT_STUD_SIZE;
+    const errors = [];
+    const warnings = [];
+
+    const report = (severity, code, brickId, holeId, message) => {
+        const issue = { severity, code, brickId, holeId, message };
+        (severity === 'error' ? errors : warnings).push(issue);
+    };
+
+    if (!Array.isArray(structureData)) {
+        report('error', 'NOT_AN_ARRAY', null, null, "Structure data is not an array.");
+        return { valid: false, errors, warnings };
+    }
+
+    // --- Index bricks by ID ---
+    const bricksById = {};
+    structureData.forEach((brickData, index) => {
+        if (!brickData || typeof brickData.id === 'undefined') {
+            report('error', 'MISSING_BRICK_ID', null, null, `Brick at index ${index} has no ID.`);
+            return;
+        }
+        const brickId = String(brickData.id);
+        if (bricksById[brickId]) {
+            report('error', 'DUPLICATE_BRICK_ID', brickId, null, `Brick ID ${brickId} is used more than once.`);
+            return;
+        }
+        bricksById[brickId] = brickData;
+    });
+
+    // --- Exactly one base ---
+    const baseIds = Object.keys(bricksById).filter(id => bricksById[id].type === 'base');
+    if (baseIds.length === 0) {
+        report('error', 'MISSING_BASE', null, null, "Structure has no brick of type 'base'.");
+    } else if (baseIds.length > 1) {
+        report('error', 'MULTIPLE_BASES', null, null, `Structure has ${baseIds.length} bases (IDs ${baseIds.join(', ')}).`);
+    }
+
+    // --- Per-brick and per-hole checks ---
+    Object.keys(bricksById).forEach(brickId => {
+        const brickData = bricksById[brickId];
+        const brickDef = brickDefinitions[brickData.type];
+        if (!brickDef) {
+            report('error', 'UNKNOWN_TYPE', brickId, null, `Brick ${brickId} has unknown type '${brickData.type}'.`);
+            return;
+        }
+        if (!resolveBrickColour(brickData.colour).known) {
+            report('warning', 'UNKNOWN_COLOUR', brickId, null, `Brick ${brickId} has unknown colour '${brickData.colour}'; it is drawn in the default grey.`);
+        }
+        if (!Array.isArray(brickData.holes)) {
+            report('warning', 'MISSING_HOLES', brickId, null, `Brick ${brickId} has no holes array.`);
+            return;
+        }
+
+        const validHoleIds = getValidHoleIds(brickDef, studSize);
+        const seenHoleIds = new Set();
+
+        brickData.holes.forEach(holeData => {
+            if (!holeData || typeof holeData.id === 'undefined') {
+                report('error', 'MALFORMED_HOLE', brickId, null, `Brick ${brickId} has a hole entry without an ID.`);
+                return;
+            }
+            const holeId = holeData.id;
+
+            if (!validHoleIds.includes(holeId)) {
+                report('error', 'HOLE_OUT_OF_RANGE', brickId, holeId, `Hole ${holeId} does not exist on ${brickData.type} brick ${brickId}.`);
+                return;
+            }
+            if (seenHoleIds.has(holeId)) {
+                report('error', 'DUPLICATE_HOLE_ID', brickId, holeId, `Hole ${holeId} is listed more than once on brick ${brickId}.`);
+                return;
+            }
+            seenHoleIds.add(holeId);
+
+            const connectedBrickId = String(holeData.brick);
+            if (typeof holeData.brick === 'undefined' || connectedBrickId === "-1") return; // Unused hole
+
+            // Orientation
+            const connector = holeConnector(brickDef, holeId);
+            const orientation = holeData.orientation ?? 0;
+            if (normaliseOrientation(orientation, connector.kind === "pin-hole") === null) {
+                report('error', 'ILLEGAL_ORIENTATION', brickId, holeId, `Hole ${holeId} on brick ${brickId} has orientation ${orientation}, which can't seat a brick on the studs; expected a quarter turn (${LEGAL_ORIENTATIONS.join(', ')}).`);
+            }
+            // The optional axis must name the face the catalog puts the hole on
+            if (holeData.axis !== undefined && holeData.axis !== connector.axis) {
+                report('error', 'AXIS_MISMATCH', brickId, holeId, `Hole ${holeId} on brick ${brickId} records axis '${holeData.axis}', but the hole is on the ${connector.axis} face of a ${brickData.type}.`);
+            }
+
+            // Target brick and hole
+            const connectedBrickData = bricksById[connectedBrickId];
+            if (!connectedBrickData) {
+                report('error', 'UNKNOWN_BRICK_REFERENCE', brickId, holeId, `Hole ${holeId} on brick ${brickId} links to unknown brick ${connectedBrickId}.`);
+                return;
+            }
+            if (connectedBrickId === brickId) {
+                report('error', 'SELF_LINK', brickId, holeId, `Hole ${holeId} on brick ${brickId} links to its own brick.`);
+                return;
+            }
+            if (typeof holeData.connectedToHole === 'undefined' || holeData.connectedToHole === -1) {
+                report('error', 'MISSING_CONNECTED_HOLE', brickId, holeId, `Hole ${holeId} on brick ${brickId} links to brick ${connectedBrickId} without a 'connectedToHole'.`);
+                return;
+            }
+            const connectedDef = brickDefinitions[connectedBrickData.type];
+            if (!connectedDef) return; // Reported when that brick is checked
+            if (!getValidHoleIds(connectedDef, studSize).includes(holeData.connectedToHole)) {
+                report('error', 'CONNECTED_HOLE_OUT_OF_RANGE', brickId, holeId, `Hole ${holeId} on brick ${brickId} links to hole ${holeData.connectedToHole}, which does not exist on ${connectedBrickData.type} brick ${connectedBrickId}.`);
+                return;
+            }
+
+            // Reciprocity: the other side must link back to exactly this brick and hole
+            const mirrorHole = Array.isArray(connectedBrickData.holes)
+                ? connectedBrickData.holes.find(h => h && h.id === holeData.connectedToHole)
+                : undefined;
+            const isMirrored = !!mirrorHole && String(mirrorHole.brick) === brickId && mirrorHole.connectedToHole === holeId;
+            if (!isMirrored) {
+                const found = mirrorHole ? `brick ${mirrorHole.brick} hole ${mirrorHole.connectedToHole}` : 'nothing';
+                report('error', 'HOLE_NOT_MIRRORED', brickId, holeId, `Brick ${brickId} hole ${holeId} -> brick ${connectedBrickId} hole ${holeData.connectedToHole}, but that hole points to ${found}.`);
+            }
+
+            // A stud goes into a socket, a pin joins two pin holes (mirrored links are only reported from one side)
+            if (isMirrored && brickId > connectedBrickId) return;
+            const connectedConnector = holeConnector(connectedDef, holeData.connectedToHole);
+            if (connectorsMate(connector.kind, connectedConnector.kind)) return;
+            const onGrid = (def, id) => !(def.SideHoleIds ?? []).includes(id);
+            if (!onGrid(brickDef, holeId) || !onGrid(connectedDef, holeData.connectedToHole)) {
+                report('error', 'INCOMPATIBLE_CONNECTORS', brickId, holeId, `Brick ${brickId} hole ${holeId} (${connector.kind}) can't join brick ${connectedBrickId} hole ${holeData.connectedToHole} (${connectedConnector.kind}).`);
+            } else if (isTopHoleOf(brickDef, holeId) === isTopHoleOf(connectedDef, holeData.connectedToHole)) {
+                const side = isTopHoleOf(brickDef, holeId) ? 'top' : 'bottom';
+                // Nothing can sit on a part without top holes (a tile), so a bottom-to-bottom link there is an error
+                const [tileId, otherId] = !hasTopHoles(connectedDef) ? [connectedBrickId, brickId] : [brickId, connectedBrickId];
+                if (side === 'bottom' && (!hasTopHoles(brickDef) || !hasTopHoles(connectedDef))) {
+                    report('error', 'NO_TOP_HOLES', brickId, holeId, `Brick ${tileId} (${bricksById[tileId].type}) has no top holes, so brick ${otherId} cannot be attached on top of it.`);
+                } else {
+                    report('warning', 'SAME_SIDE_LINK', brickId, holeId, `Brick ${brickId} hole ${holeId} links ${side} to ${side} with brick ${connectedBrickId} hole ${holeData.connectedToHole}.`);
+                }
+            }
+        });
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Formats a validation issue as a single human-readable line.
+ * @param {object} issue - An issue from `validateStructure`.
+ * @returns {string} The formatted line.
+ */
+export function formatIssue(issue) {
+    return `[${issue.severity.toUpperCase()}] ${issue.code}: ${issue.message}`;
+}
@@ -0,0 +1,110 @@
+// --- Stud Meshes ---
+// Draws a stud on every unused stud hole, top or side (and optionally a hollow ring on every unused socket or pin hole)
+// as InstancedMeshes, so even structures with thousands of studs cost only a few draw calls: one per brick
+// finish in use (a transparent brick gets transparent studs) and one for the rings.
+import * as THREE from 'three';
+import { STUD_SIZE, PLATE_HEIGHT, getBrickDefinition } from './brickDefinitions.js';
+import { FINISHES, resolveBrickColour } from './brickColours.js';
+import { connectorFrame } from './brickConnectors.js';
+import { getValidHoleIds } from './structureValidator.js';
+
+// Proportions of the common brick standard: 4.8 mm studs, 1.7 mm tall, on an 8 mm pitch with 3.2 mm plates
+const STUD_RADIUS = STUD_SIZE * 0.3;
+const STUD_HEIGHT = PLATE_HEIGHT * 1.7 / 3.2;
+const STUD_SEGMENTS = 16;
+const ANTI_STUD_INNER_RADIUS = STUD_SIZE * 0.24;
+const ANTI_STUD_OUTER_RADIUS = STUD_SIZE * 0.4;
+const ANTI_STUD_COLOR = 0x222222;
+// Rings sit this far out from their face so they don't flicker against it
+const ANTI_STUD_GAP = 0.01;
+
+/**
+ * Collects the world transforms of unused holes on the given bricks.
+ * @param {object} meshesById - Brick meshes keyed by brick id, placed and with up-to-date world matrices.
+ * @param {Array} structureData - The structure's brick array (to see which holes are linked).
+ * @param {string[]} kinds - Which connectors to collect ("stud", "socket", "pin-hole").
+ * @returns {Array<{matrix: THREE.Matrix4, colour: string}>} One entry per unused hole: the hole's frame (its
+ *   outward normal along +Y, see brickConnectors.js) and the brick colour.
+ */
+function unusedHoles(meshesById, structureData, kinds) {
+    const linkedHoles = new Set();
+    structureData.forEach(brickData => {
+        (brickData?.holes ?? []).forEach(hole => {
+            if (hole && String(hole.brick) !== "-1") linkedHoles.add(`${brickData.id}:${hole.id}`);
+        });
+    });
+
+    const holes = [];
+    Object.entries(meshesById).forEach(([id, mesh]) => {
+        const brickDef = getBrickDefinition(mesh.userData.type);
+        if (!brickDef) return;
+        getValidHoleIds(brickDef, STUD_SIZE).forEach(holeId => {
+            if (linkedHoles.has(`${id}:${holeId}`)) return;
+            const connector = brickDef.HoleInfo(holeId);
+            if (!connector || !kinds.includes(connector.kind)) return;
+            const local = new THREE.Matrix4().compose(connector.offset, connectorFrame(connector), new THREE.Vector3(1, 1, 1));
+            holes.push({ matrix: mesh.matrixWorld.clone().multiply(local), colour: mesh.userData.colour });
+        });
+    });
+    return holes;
+}
+
+/**
+ * Packs copies of a geometry into one InstancedMesh, one per hole.
+ * @param {THREE.BufferGeometry} geometry - The shape, in the hole's frame.
+ * @param {THREE.Material} material - The shared material.
+ * @param {Array<{matrix: THREE.Matrix4, colour: string}>} holes - Where to put each copy.
+ * @param {boolean} tint - Colour each copy like its brick.
+ * @returns {THREE.InstancedMesh} The instanced mesh.
+ */
+function instanceAtHoles(geometry, material, holes, tint) {
+    const instanced = new THREE.InstancedMesh(geometry, material, holes.length);
+    const colour = new THREE.Color();
+    holes.forEach((hole, index) => {
+        instanced.setMatrixAt(index, hole.matrix);
+        if (tint) instanced.setColorAt(index, colour.setHex(resolveBrickColour(hole.colour).hex));
+    });
+    instanced.instanceMatrix.needsUpdate = true;
+    if (instanced.instanceColor) instanced.instanceColor.needsUpdate = true;
+    instanced.computeBoundingSphere();
+    return instanced;
+}
+
+/**
+ * Creates the stud (and optionally anti-stud) meshes for a built structure, in world space.
+ * A hole counts as unused when its entry in the structure data isn't linked to another brick.
+ * @param {object} meshesById - Brick meshes keyed by brick id (base included).
+ * @param {Array} structureData - The structure's brick array.
+ * @param {object} [options]
+ * @param {boolean} [options.antiStuds=false] - Also draw rings on unused bottom holes and pin holes.
+ * @returns {{studs: THREE.InstancedMesh[], antiStuds: THREE.InstancedMesh | null}} The meshes (the stud meshes, one
+ *   per finish, share one geometry); dispose their geometry and materials when replacing them.
+ */
+export function createStudMeshes(meshesById, structureData, options = {}) {
+    const studGeometry = new THREE.CylinderGeometry(STUD_RADIUS, STUD_RADIUS, STUD_HEIGHT, STUD_SEGMENTS);
+    studGeometry.translate(0, STUD_HEIGHT / 2, 0); // Stand on the top face
+    const holesByFinish = {};
+    unusedHoles(meshesById, structureData, ["stud"]).forEach(hole => {
+        const { finish } = resolveBrickColour(hole.colour);
+        (holesByFinish[finish] ??= []).push(hole);
+    });
+    const studs = Object.entries(holesByFinish).map(([finish, holes]) => {
+        const { physical, params } = FINISHES[finish];
+        const MaterialType = physical ? THREE.MeshPhysicalMaterial : THREE.MeshStandardMaterial;
+        const instanced = instanceAtHoles(studGeometry, new MaterialType({ name: `StudMaterial_${finish}`, ...params }), holes, true);
+        instanced.name = `Studs_${finish}`;
+        return instanced;
+    });
+    if (studs.length === 0) studGeometry.dispose();
+
+    let antiStuds = null;
+    if (options.antiStuds) {
+        const ringGeometry = new THREE.RingGeometry(ANTI_STUD_INNER_RADIUS, ANTI_STUD_OUTER_RADIUS, STUD_SEGMENTS);
+        ringGeometry.rotateX(-Math.PI / 2); // Face out of the hole
+        ringGeometry.translate(0, ANTI_STUD_GAP, 0);
+        const ringMaterial = new THREE.MeshStandardMaterial({ name: "AntiStudMaterial", color: ANTI_STUD_COLOR, roughness: 0.9, metalness: 0 });
+        antiStuds = instanceAtHoles(ringGeometry, ringMaterial, unusedHoles(meshesById, structureData, ["socket", "pin-hole"]), false);
+        antiStuds.name = "AntiStuds";
+    }
+    return { studs, antiStuds };
+}
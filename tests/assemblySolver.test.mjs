@@ -0,0 +1,69 @@
+// Run with: node --test tests/ (needs `three` resolvable, as for solveStructures.mjs)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveAssembly, posesToJSON } from '../assemblySolver.js';
+import { BRICK_DEFINITIONS } from '../brickDefinitions.js';
+import { brick, link } from './fixtures.mjs';
+
+test('a brick whose only link is rejected goes to the tray and is reported once', () => {
+    const base = brick("1", "base");
+    const loose = brick("2", "2x1");
+    link(base, 0, loose, BRICK_DEFINITIONS["2x1"].BottomHoleIds[0], 45);
+    const { poses, components, issues } = solveAssembly([base, loose]);
+
+    assert.deepEqual(issues.map(issue => issue.code).sort(), ["FLOATING_COMPONENT", "REJECTED_ORIENTATION"]);
+    const rejected = issues.find(issue => issue.code === "REJECTED_ORIENTATION");
+    assert.equal(rejected.brickId, "1");
+    assert.equal(rejected.connectedBrickId, "2");
+    assert.equal(components.length, 2);
+    assert.deepEqual(components[1].brickIds, ["2"]);
+    assert.equal(poses.find(pose => pose.id === "2").component, 1);
+});
+
+test('a bad orientation on a second link to a placed brick is a link conflict', () => {
+    const base = brick("1", "base");
+    const lower = brick("2", "2x1");
+    const upper = brick("3", "1x1");
+    const bottom = BRICK_DEFINITIONS["2x1"].BottomHoleIds;
+    link(base, 0, lower, bottom[0]);
+    link(base, 1, lower, bottom[1]);
+    base.holes[1].orientation = 45;
+    link(lower, 0, upper, BRICK_DEFINITIONS["1x1"].BottomHoleIds[0]);
+    const { issues } = solveAssembly([base, lower, upper]);
+    assert.deepEqual(issues.map(issue => issue.code), ["LINK_CONFLICT"]);
+    assert.match(issues[0].message, /orientation 45/);
+});
+
+test('floating components stand in the tray beside the base without overlapping it', () => {
+    const base = brick("1", "base");
+    const attached = brick("2", "1x1");
+    link(base, 0, attached, BRICK_DEFINITIONS["1x1"].BottomHoleIds[0]);
+    const lower = brick("3", "2x1");
+    const upper = brick("4", "1x1");
+    link(lower, 0, upper, BRICK_DEFINITIONS["1x1"].BottomHoleIds[0]);
+    const { components, issues } = solveAssembly([base, attached, brick("5", "1x1"), lower, upper]);
+
+    assert.deepEqual(components.map(component => component.label), [null, "Loose 1", "Loose 2"]);
+    assert.deepEqual(components[1].brickIds, ["3", "4"]);
+    assert.deepEqual(components[2].brickIds, ["5"]);
+    assert.ok(components[1].bounds.min.x > components[0].bounds.max.x);
+    assert.ok(components[2].bounds.min.x > components[1].bounds.max.x);
+    assert.equal(components[1].bounds.min.y, components[0].bounds.min.y);
+    assert.deepEqual(issues.map(issue => issue.code), ["FLOATING_COMPONENT", "FLOATING_COMPONENT"]);
+});
+
+test('posesToJSON rounds and tags poses with their component', () => {
+    const base = brick("1", "base");
+    const top = brick("2", "1x1");
+    link(base, 0, top, BRICK_DEFINITIONS["1x1"].BottomHoleIds[0], 90);
+    const json = posesToJSON(solveAssembly([base, top]).poses);
+    assert.deepEqual(Object.keys(json), ["1", "2"]);
+    assert.equal(json["2"].component, 0);
+    assert.equal(json["2"].type, "1x1");
+    assert.ok(json["2"].position.every(value => Number(value.toFixed(4)) === value));
+});
+
+test('structures that cannot be solved report why', () => {
+    assert.equal(solveAssembly(null).error, "Invalid Data Format");
+    assert.equal(solveAssembly([brick("2", "1x1")]).error, "Missing Base");
+});
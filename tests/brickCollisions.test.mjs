@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { BRICK_DEFINITIONS } from '../brickDefinitions.js';
+import { createBrickMesh } from '../structureBuilder.js';
+import { checkScenePlacement, clearPlacementMarkers } from '../brickCollisions.js';
+
+/**
+ * Creates a brick mesh at a position.
+ * @param {string} id - The brick id.
+ * @param {string} type - The brick type.
+ * @param {number[]} position - Where its centre goes.
+ * @returns {THREE.Mesh} The mesh.
+ */
+function placedBrick(id, type, position) {
+    const mesh = createBrickMesh(BRICK_DEFINITIONS[type], { id, type, colour: "red" });
+    mesh.position.set(...position);
+    return mesh;
+}
+
+test('a clone group is checked against every brick in the scene but its own', () => {
+    const scene = new THREE.Scene();
+    const markers = new THREE.Group();
+    const structure = new THREE.Group();
+    structure.add(placedBrick("2", "2x1", [0, 0, 0]));
+    const group = new THREE.Group();
+    group.add(placedBrick("3", "1x1", [1, 0, 0]), placedBrick("4", "1x1", [3, 0, 0]));
+    scene.add(structure, group, markers);
+
+    assert.deepEqual(checkScenePlacement(scene, group, markers), ["2"]);
+    assert.equal(markers.children.length, 1);
+    group.position.y = 2.4;
+    assert.deepEqual(checkScenePlacement(scene, group, markers), []);
+    assert.equal(markers.children.length, 0);
+});
+
+test('ignored bricks and marks from earlier checks are left out', () => {
+    const scene = new THREE.Scene();
+    const markers = new THREE.Group();
+    const base = placedBrick("1", "base", [0, 0, 0]);
+    const clone = placedBrick("5", "1x1", [1, 0, 1]);
+    scene.add(base, clone, markers);
+
+    assert.deepEqual(checkScenePlacement(scene, clone, markers), ["1"]);
+    assert.deepEqual(checkScenePlacement(scene, clone, markers, { ignore: [base] }), []);
+    checkScenePlacement(scene, clone, markers);
+    clearPlacementMarkers(markers);
+    assert.equal(markers.children.length, 0);
+    assert.deepEqual(checkScenePlacement(scene, null, markers), []);
+});
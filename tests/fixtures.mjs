@@ -0,0 +1,28 @@
+// Small structures for the tests, built in the structures.json format
+import { BRICK_DEFINITIONS } from '../brickDefinitions.js';
+
+/**
+ * Creates a brick entry with every hole unlinked.
+ * @param {string} id - The brick id.
+ * @param {string} type - The brick type.
+ * @param {string} [colour="red"] - The colour field.
+ * @returns {object} The entry.
+ */
+export function brick(id, type, colour = "red") {
+    const brickDef = BRICK_DEFINITIONS[type];
+    const holeCount = brickDef.TopHoleIds.length + brickDef.BottomHoleIds.length + brickDef.SideHoleIds.length;
+    return { id, colour, type, macaddress: "", holes: Array.from({ length: holeCount }, (_, holeId) => ({ id: holeId, brick: "-1", connectedToHole: -1, orientation: 0 })) };
+}
+
+/**
+ * Links a stud (or pin hole) on one brick to a hole on another, on both entries.
+ * @param {object} from - The brick with the stud; its entry carries the orientation.
+ * @param {number} fromHole - The stud's hole id.
+ * @param {object} to - The other brick.
+ * @param {number} toHole - Its hole id.
+ * @param {number} [orientation=0] - The orientation.
+ */
+export function link(from, fromHole, to, toHole, orientation = 0) {
+    Object.assign(from.holes[fromHole], { brick: to.id, connectedToHole: toHole, orientation });
+    Object.assign(to.holes[toHole], { brick: from.id, connectedToHole: fromHole, orientation: 0 });
+}
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BRICK_DEFINITIONS } from '../brickDefinitions.js';
+import { solveAssembly, posesToJSON } from '../assemblySolver.js';
+import { exportLdr, importLdraw, LDRAW_PARTS } from '../ldraw.js';
+import { brick, link } from './fixtures.mjs';
+
+/**
+ * Lists a structure's solved poses without the brick ids (an import numbers bricks afresh).
+ * @param {Array} data - The structure data.
+ * @returns {string[]} One JSON line per brick, sorted.
+ */
+function placements(data) {
+    return Object.values(posesToJSON(solveAssembly(data).poses)).map(pose => JSON.stringify(pose)).sort();
+}
+
+/**
+ * Builds a base with one part on it, turned by the given orientation.
+ * @param {string} type - The part's type.
+ * @param {number} orientation - The link's orientation.
+ * @returns {{name: string, data: Array}} The structure.
+ */
+function onBase(type, orientation) {
+    const base = brick("1", "base");
+    const part = brick("2", type, "blue");
+    link(base, 5, part, BRICK_DEFINITIONS[type].BottomHoleIds[0], orientation);
+    return { name: `${type} at ${orientation}`, data: [base, part] };
+}
+
+test('a slope is written turned from LDraw\'s facing to ours', () => {
+    const { text, error } = exportLdr(onBase("slope-2x1", 0));
+    assert.equal(error, null);
+    const line = text.split('\r\n').find(row => row.endsWith(LDRAW_PARTS["slope-2x1"]));
+    // LDraw's slope falls towards its -Z; turned a quarter so it falls towards +X, as ours does
+    assert.deepEqual(line.split(' ').slice(5, 14).map(Number), [0, 0, -1, 0, 1, 0, 1, 0, 0]);
+});
+
+for (const type of ["slope-2x1", "slope-2x2", "brick-1x1-side-stud", "brick-2x1-side-studs", "technic-brick-2x1", "technic-brick-4x1"]) {
+    for (const orientation of [0, 90, 180, 270]) {
+        test(`${type} at ${orientation} comes back from LDraw where it was`, () => {
+            const structure = onBase(type, orientation);
+            const { structures, errors } = importLdraw(exportLdr(structure).text);
+            assert.deepEqual(errors, []);
+            assert.deepEqual(placements(structures[0].data), placements(structure.data));
+        });
+    }
+}
+
+test('side studs and pin holes are written facing the way LDraw draws them', () => {
+    const matrixOf = type => exportLdr(onBase(type, 0)).text.split('\r\n').find(row => row.endsWith(LDRAW_PARTS[type])).split(' ').slice(5, 14).map(Number);
+    // 87087's side stud points to its -Z; ours points to +X, a quarter turn away
+    assert.deepEqual(matrixOf("brick-1x1-side-stud"), [0, 0, -1, 0, 1, 0, 1, 0, 0]);
+    // 11211's side studs point to its -Z (scene +Z) and 3700/3701's holes run along Z, as ours do
+    ["brick-2x1-side-studs", "technic-brick-2x1", "technic-brick-4x1"].forEach(type => {
+        assert.deepEqual(matrixOf(type), [1, 0, 0, 0, 1, 0, 0, 0, 1], type);
+    });
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BRICK_DEFINITIONS, STUD_SIZE } from '../brickDefinitions.js';
+import { solveAssembly } from '../assemblySolver.js';
+import { applyHubEvent } from '../liveStructure.js';
+import { brick, link } from './fixtures.mjs';
+
+test('disconnecting keeps the bricks cut off from the base, for the tray', () => {
+    const base = brick("1", "base");
+    const lower = brick("2", "2x1");
+    const upper = brick("3", "1x1");
+    link(base, 0, lower, 2);
+    link(lower, 0, upper, 1);
+    const { data, error } = applyHubEvent([base, lower, upper], { type: "disconnect", from: { brick: "1", hole: 0 } }, BRICK_DEFINITIONS, STUD_SIZE);
+
+    assert.equal(error, null);
+    assert.deepEqual(data.map(entry => entry.id), ["1", "2", "3"]);
+    assert.equal(data[0].holes[0].brick, "-1");
+    assert.equal(data[1].holes[2].brick, "-1");
+    // The sub-assembly stays together
+    assert.equal(data[1].holes[0].brick, "3");
+    const { components } = solveAssembly(data);
+    assert.deepEqual(components.map(component => component.brickIds), [["1"], ["2", "3"]]);
+});
+
+test('a brick left with no links at all is kept too', () => {
+    const base = brick("1", "base");
+    const single = brick("2", "1x1");
+    link(base, 0, single, 1);
+    const { data } = applyHubEvent([base, single], { type: "disconnect", from: { brick: "2", hole: 1 } }, BRICK_DEFINITIONS, STUD_SIZE);
+    assert.deepEqual(data.map(entry => entry.id), ["1", "2"]);
+    assert.ok(data[1].holes.every(hole => hole.brick === "-1"));
+    assert.equal(solveAssembly(data).components[1].label, "Loose 1");
+});
+
+test('a message that is not an object is refused', () => {
+    const base = brick("1", "base");
+    const { data, error } = applyHubEvent([base], null, BRICK_DEFINITIONS, STUD_SIZE);
+    assert.equal(error, "Message is not an object.");
+    assert.deepEqual(data, [base]);
+});
+
+test('a snapshot with an entry that is not a brick is refused', () => {
+    const base = brick("1", "base");
+    const { data, error } = applyHubEvent([base], { type: "snapshot", data: [brick("1", "base"), null] }, BRICK_DEFINITIONS, STUD_SIZE);
+    assert.match(error, /entry 1 is not a brick/);
+    assert.deepEqual(data, [base]);
+    assert.match(applyHubEvent([], { type: "snapshot", data: [null] }, BRICK_DEFINITIONS, STUD_SIZE).error, /entry 0/);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile, mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { parseStructuresText } from '../structureLoader.js';
+import { solveAssembly, posesToJSON } from '../assemblySolver.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const readJson = async name => JSON.parse(await readFile(new URL(`../${name}`, import.meta.url), 'utf8'));
+
+test('every structure in structures.json solves to its expected poses', async () => {
+    const { structures } = parseStructuresText(await readFile(new URL('../structures.json', import.meta.url), 'utf8'), 'structures.json');
+    const expected = await readJson('structures.expected.json');
+    assert.deepEqual(structures.map(({ name }) => name), expected.map(({ name }) => name));
+    structures.forEach(({ name, data }, index) => {
+        assert.deepEqual(posesToJSON(solveAssembly(data).poses), expected[index].poses, name);
+    });
+});
+
+test('solveStructures.mjs --check passes on the expected poses and fails on changed ones', async () => {
+    const run = promisify(execFile);
+    const script = ['solveStructures.mjs', 'structures.json'];
+    await run(process.execPath, [...script, 'structures.expected.json', '--check'], { cwd: root });
+    const moved = await readJson('structures.expected.json');
+    const [id] = Object.keys(moved[0].poses).slice(-1);
+    moved[0].poses[id].position[0] += 2;
+    const movedPath = join(await mkdtemp(join(tmpdir(), 'poses-')), 'moved.json');
+    await writeFile(movedPath, JSON.stringify(moved));
+    await assert.rejects(run(process.execPath, [...script, movedPath, '--check'], { cwd: root }), error => error.code === 1 && error.stderr.includes(`brick ${id} moved`));
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveAssembly } from '../assemblySolver.js';
+import { analyseStability } from '../stabilityAnalysis.js';
+import { brick, link } from './fixtures.mjs';
+
+/**
+ * Builds an arm of 3x1 plates, each hanging by one stud off the far end of the one before.
+ * @param {number} length - The number of plates.
+ * @returns {Array} The structure data.
+ */
+function arm(length) {
+    const data = [brick("1", "base")];
+    for (let index = 0; index < length; index++) {
+        const plate = brick(String(index + 2), "3x1");
+        link(data[index], index === 0 ? 0 : 2, plate, 3);
+        data.push(plate);
+    }
+    return data;
+}
+
+test('bricks resting on their studs are stable', () => {
+    const data = [brick("1", "base"), brick("2", "2x1"), brick("3", "1x1")];
+    link(data[0], 0, data[1], 2);
+    link(data[0], 1, data[1], 3);
+    link(data[1], 0, data[2], 1);
+    const report = analyseStability(solveAssembly(data).poses, data);
+    assert.equal(report.verdict, "stable");
+    assert.equal(report.maxLoadRatio, 0);
+    assert.deepEqual(report.issues, []);
+});
+
+test('a long arm hanging off single studs breaks at its first joint', () => {
+    const data = arm(4);
+    const report = analyseStability(solveAssembly(data).poses, data);
+    assert.equal(report.verdict, "unstable");
+    assert.equal(report.bricks["2"].status, "overloaded");
+    assert.ok(report.bricks["2"].loadRatio >= 1);
+    assert.ok(report.issues.some(issue => issue.code === "OVERLOADED_JOINT" && issue.brickId === "2"));
+    assert.match(report.message, /break at brick 2/);
+});
+
+test('a short arm only warns', () => {
+    const data = arm(3);
+    const report = analyseStability(solveAssembly(data).poses, data);
+    assert.equal(report.verdict, "shaky");
+    assert.deepEqual(report.issues.map(issue => issue.code), ["OVERHANG_LOAD"]);
+});
+
+test('bricks in the tray and links the solver rejected hold nothing', () => {
+    const data = arm(4);
+    // Brick 3 can't be seated at 45 degrees, so it and the plates on it are floating
+    data[1].holes[2].orientation = 45;
+    const { poses, components } = solveAssembly(data);
+    assert.deepEqual(components[1].brickIds, ["3", "4", "5"]);
+    const report = analyseStability(poses, data);
+    assert.deepEqual(Object.keys(report.bricks).sort(), ["1", "2"]);
+    assert.equal(report.totalMass, report.bricks["1"].mass + report.bricks["2"].mass);
+    assert.equal(report.verdict, "stable");
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BRICK_DEFINITIONS, PLATE_HEIGHT } from '../brickDefinitions.js';
+import { buildStructureMeshes } from '../structureBuilder.js';
+import { buildStlTriangles, STL_DEFAULTS } from '../stlExport.js';
+import { brick, link } from './fixtures.mjs';
+
+// Base holes the parts go on, far enough apart that they don't touch
+const PART_HOLES = [0, 7, 12];
+
+/**
+ * Builds the meshes of a base with parts on it.
+ * @param {...string} types - The parts, placed on PART_HOLES in turn.
+ * @returns {THREE.Mesh[]} The base and the parts.
+ */
+function meshesOf(...types) {
+    const base = brick("1", "base");
+    const data = [base, ...types.map((type, index) => brick(String(index + 2), type))];
+    data.slice(1).forEach((part, index) => link(base, PART_HOLES[index], part, BRICK_DEFINITIONS[part.type].BottomHoleIds[0]));
+    const { baseMesh, brickMeshes, error } = buildStructureMeshes(data);
+    assert.equal(error, null);
+    return [baseMesh, ...brickMeshes];
+}
+
+/**
+ * Checks that triangles close up into solids: every edge is used once in each direction.
+ * @param {Array<number[][]>} triangles - Triangles from buildStlTriangles.
+ */
+function assertWatertight(triangles) {
+    const key = vertex => vertex.map(value => Math.round(value * 1e4)).join(',');
+    const edges = new Map();
+    triangles.forEach(triangle => triangle.forEach((vertex, index) => {
+        const edge = `${key(vertex)}>${key(triangle[(index + 1) % 3])}`;
+        edges.set(edge, (edges.get(edge) ?? 0) + 1);
+    }));
+    edges.forEach((count, edge) => {
+        const [from, to] = edge.split('>');
+        assert.equal(count, 1, `edge ${edge} is used ${count} times`);
+        assert.equal(edges.get(`${to}>${from}`), 1, `edge ${edge} has no opposite`);
+    });
+}
+
+test('slopes, rounds and arches merge into the one watertight solid', () => {
+    const { triangles } = buildStlTriangles(meshesOf("slope-2x1", "round-brick-1x1", "arch-4x1"), BRICK_DEFINITIONS);
+    assert.ok(triangles.length > 0);
+    assertWatertight(triangles);
+});
+
+test('a slope prints as steps with studs on its high end', () => {
+    const flat = buildStlTriangles(meshesOf(), BRICK_DEFINITIONS, { includeStuds: false }).triangles;
+    const { triangles, skippedStuds } = buildStlTriangles(meshesOf("slope-2x1"), BRICK_DEFINITIONS, { includeStuds: false });
+    assert.equal(skippedStuds, 0);
+    const heights = new Set(triangles.flat().map(vertex => Number(vertex[2].toFixed(3))));
+    const plateMm = STL_DEFAULTS.plateHeightMm;
+    const baseTop = Math.max(...flat.flat().map(vertex => vertex[2]));
+    // The high end is a whole brick tall; the low end stops a plate short of it
+    const brickPlates = BRICK_DEFINITIONS["slope-2x1"].Size.y / PLATE_HEIGHT;
+    assert.ok(heights.has(Number((baseTop + brickPlates * plateMm).toFixed(3))));
+    assert.ok(heights.has(Number((baseTop + (brickPlates - 1) * plateMm).toFixed(3))));
+
+    const withStuds = buildStlTriangles(meshesOf("slope-2x1"), BRICK_DEFINITIONS);
+    assertWatertight(withStuds.triangles);
+    const studTops = new Set(withStuds.triangles.flat().map(vertex => Number(vertex[2].toFixed(3))));
+    assert.ok(studTops.has(Number((baseTop + brickPlates * plateMm + STL_DEFAULTS.studHeightMm).toFixed(3))));
+});
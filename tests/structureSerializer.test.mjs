@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { BRICK_DEFINITIONS, STUD_SIZE, PLATE_HEIGHT } from '../brickDefinitions.js';
+import { buildStructureMeshes } from '../structureBuilder.js';
+import { serializeScene } from '../structureSerializer.js';
+import { brick, link } from './fixtures.mjs';
+
+/**
+ * Builds a base with a 2x1 brick on holes 0 and 1, and a clone of the brick in a group moved by `offset`,
+ * the way the editor places copies.
+ * @param {THREE.Vector3} offset - Where the clone's group is put.
+ * @returns {object} The result of serializeScene.
+ */
+function saveWithClone(offset) {
+    const base = brick("1", "base");
+    const original = brick("2", "2x1");
+    link(base, 0, original, 2);
+    link(base, 1, original, 3);
+    const { baseMesh, brickMeshes, error } = buildStructureMeshes([base, original]);
+    assert.equal(error, null);
+    const cloneGroup = new THREE.Group();
+    cloneGroup.add(brickMeshes[0].clone(false));
+    cloneGroup.position.copy(offset);
+    return serializeScene({ name: "Copy", baseMesh, meshes: [...brickMeshes, ...cloneGroup.children], brickDefinitions: BRICK_DEFINITIONS, studSize: STUD_SIZE });
+}
+
+test('a clone moved by whole studs at the original height is saved linked to the base', () => {
+    const { structure, warnings } = saveWithClone(new THREE.Vector3(0, 0, 2 * STUD_SIZE));
+    assert.deepEqual(warnings, []);
+    const clone = structure.data[2];
+    assert.equal(clone.id, "3"); // The clone copies the original's id, so it gets a new one
+    assert.deepEqual(clone.holes.filter(hole => hole.brick === "1").map(hole => hole.connectedToHole), [8, 9]);
+});
+
+test('a clone lifted off the studs is saved unlinked, with a warning that it loads in the tray', () => {
+    const { structure, warnings } = saveWithClone(new THREE.Vector3(0, PLATE_HEIGHT / 2, 2 * STUD_SIZE));
+    assert.ok(structure.data[2].holes.every(hole => hole.brick === "-1"));
+    assert.match(warnings.join('\n'), /Brick 3 is not attached to the base/);
+});